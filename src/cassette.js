@@ -0,0 +1,78 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CASSETTE_VERSION = 1;
+
+// Hash of everything that determines a response: model, system prompt, tools
+// and the full message history
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+}
+
+// BERRRY_RECORD=path: appends every request/response pair and rewrites the
+// file after each one, so an interrupted run still leaves a usable cassette.
+class CassetteRecorder {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.cassette = {
+      version: CASSETTE_VERSION,
+      provider: options.provider || null,
+      interactions: []
+    };
+  }
+
+  record(request, response) {
+    this.cassette.interactions.push({ hash: hashRequest(request), request, response });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.cassette, null, 2));
+  }
+}
+
+// BERRRY_REPLAY=path: serves recorded responses without touching the network.
+// match = 'hash' requires an identical request, 'order' replays in sequence,
+// 'auto' (default) tries the hash first and falls back to the next unused entry
+// (prompts that embed git hashes or dates never hash the same twice).
+class CassettePlayer {
+  constructor(filePath, options = {}) {
+    const { match = 'auto' } = options;
+
+    let cassette;
+    try {
+      cassette = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read cassette ${filePath}: ${error.message}`);
+    }
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version ${cassette.version} in ${filePath}`);
+    }
+
+    this.filePath = filePath;
+    this.match = match;
+    this.provider = cassette.provider;
+    this.interactions = cassette.interactions;
+    this.used = new Set();
+  }
+
+  next(request) {
+    let index = -1;
+
+    if (this.match !== 'order') {
+      const hash = hashRequest(request);
+      index = this.interactions.findIndex((entry, i) => !this.used.has(i) && entry.hash === hash);
+    }
+    if (index === -1 && this.match !== 'hash') {
+      index = this.interactions.findIndex((entry, i) => !this.used.has(i));
+    }
+    if (index === -1) {
+      throw new Error(`Cassette ${this.filePath} has no ${this.match === 'hash' ? 'matching' : 'remaining'} response (request ${this.used.size + 1})`);
+    }
+
+    this.used.add(index);
+    return this.interactions[index].response;
+  }
+}
+
+module.exports = {
+  CassetteRecorder,
+  CassettePlayer,
+  hashRequest
+};
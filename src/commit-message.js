@@ -0,0 +1,115 @@
+// Conventional Commits (https://www.conventionalcommits.org) support for the
+// structured commit message mode (COMMIT_STYLE=conventional).
+
+const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+const MAX_HEADER_LENGTH = 72;
+const BODY_WIDTH = 72;
+
+const CONVENTIONAL_FORMAT = `Respond with only a JSON object, no explanation:
+{
+  "type": one of ${COMMIT_TYPES.join(', ')},
+  "scope": short name of the affected area, or null,
+  "subject": imperative summary without a trailing period; "type(scope): subject" must fit in ${MAX_HEADER_LENGTH} characters,
+  "body": what changed and why, as plain prose (may be empty),
+  "breaking": true only if existing users must change something,
+  "breakingDescription": what breaks and how to migrate (only when breaking)
+}`;
+
+// Accepts the bare object or one wrapped in prose or a ```json fence
+function parseCommitJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('no JSON object in response');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+// Tidies harmless deviations (case, whitespace, trailing period) so that only
+// real rule violations are rejected by validateConventionalCommit
+function normalizeConventionalCommit(data) {
+  const text = value => typeof value === 'string' ? value.trim() : '';
+  return {
+    type: text(data.type).toLowerCase(),
+    scope: text(data.scope) || null,
+    subject: text(data.subject).replace(/\.+$/, ''),
+    body: text(data.body),
+    breaking: data.breaking === true,
+    breakingDescription: text(data.breakingDescription)
+  };
+}
+
+function formatHeader(commit) {
+  return `${commit.type}${commit.scope ? `(${commit.scope})` : ''}${commit.breaking ? '!' : ''}: ${commit.subject}`;
+}
+
+// Returns a list of problems; empty when the commit follows the rules
+function validateConventionalCommit(commit) {
+  const errors = [];
+
+  if (!COMMIT_TYPES.includes(commit.type)) {
+    errors.push(`type "${commit.type}" is not one of ${COMMIT_TYPES.join(', ')}`);
+  }
+  if (commit.scope && !/^[\w.\/-]+$/.test(commit.scope)) {
+    errors.push(`scope "${commit.scope}" must be a single word or path`);
+  }
+  if (!commit.subject) {
+    errors.push('subject is empty');
+  } else if (/[\r\n]/.test(commit.subject)) {
+    errors.push('subject must be a single line');
+  }
+  if (formatHeader(commit).length > MAX_HEADER_LENGTH) {
+    errors.push(`header is longer than ${MAX_HEADER_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+function wrapParagraph(paragraph, width) {
+  const lines = [];
+  let line = '';
+  for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+// Header and wrapped body. Footers (BREAKING-CHANGE, Refs) come back
+// separately so the caller can put them in one trailer block with its own.
+function renderConventionalCommit(commit, options = {}) {
+  const { issueNumber = null } = options;
+
+  // Lists and indented lines keep their layout; prose paragraphs are rewrapped
+  const body = commit.body
+    .split(/\n\s*\n/)
+    .map(paragraph => /^\s*([-*]|\d+\.)\s|^ {2,}/m.test(paragraph) ? paragraph : wrapParagraph(paragraph, BODY_WIDTH))
+    .join('\n\n');
+
+  const trailers = [];
+  if (commit.breaking && commit.breakingDescription) {
+    trailers.push(`BREAKING-CHANGE: ${commit.breakingDescription.replace(/\s+/g, ' ')}`);
+  }
+  if (issueNumber) {
+    trailers.push(`Refs: #${issueNumber}`);
+  }
+
+  return {
+    message: body ? `${formatHeader(commit)}\n\n${body}` : formatHeader(commit),
+    trailers
+  };
+}
+
+module.exports = {
+  COMMIT_TYPES,
+  CONVENTIONAL_FORMAT,
+  parseCommitJSON,
+  normalizeConventionalCommit,
+  validateConventionalCommit,
+  renderConventionalCommit
+};
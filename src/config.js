@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-project settings in .berrry.json at the repository root, e.g.
+//   { "protect": ["migrations/**"], "allowWrite": ["src/**", "test/**"] }
+const CONFIG_FILE = '.berrry.json';
+
+function loadProjectConfig(root = process.cwd()) {
+  let json;
+  try {
+    json = fs.readFileSync(path.join(root, CONFIG_FILE), 'utf8');
+  } catch (error) {
+    return {};
+  }
+
+  try {
+    const config = JSON.parse(json);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('expected a JSON object');
+    }
+    return config;
+  } catch (error) {
+    throw new Error(`Invalid ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  CONFIG_FILE,
+  loadProjectConfig
+};
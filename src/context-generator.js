@@ -1,6 +1,15 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { execSync } = require('child_process');
+const { fitToBudget, estimateTokens } = require('./tokens.js');
+const { loadPathRules, findProtectRule } = require('./path-rules.js');
+
+// Dependency lockfiles: large and rarely useful, the first to go when the
+// context is over budget
+const LOCKFILES = [
+  'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'Cargo.lock',
+  'poetry.lock', 'Gemfile.lock', 'composer.lock', 'go.sum'
+];
 
 async function getIssueContext(githubEvent = null, options = {}) {
   const { promptMode = false, promptText = '' } = options;
@@ -55,6 +64,10 @@ async function getIssueContext(githubEvent = null, options = {}) {
   };
 }
 
+// With options.tokenBudget the context is fitted to that many tokens (see
+// fitToBudget in tokens.js); options.report, if given, receives
+// { tokens, budget, trimmed } describing what was cut. Files protected by
+// .berrryignore / .berrry.json are left out entirely.
 async function getRepoContext(options = {}) {
   const {
     includeGitFiles = true,
@@ -64,16 +77,21 @@ async function getRepoContext(options = {}) {
       'CLAUDE.md', 'README.md', 'package.json', 'package-lock.json',
       'tsconfig.json', '.gitignore', 'Dockerfile', 'docker-compose.yml',
       'Makefile', 'Cargo.toml', 'go.mod', 'requirements.txt', 'pyproject.toml'
-    ]
+    ],
+    tokenBudget = null,
+    report = null,
+    pathRules = loadPathRules()
   } = options;
 
-  let context = '';
+  const sections = [];
+  const isProtected = file => findProtectRule(pathRules, file) !== null;
 
   // Always include core configuration files if they exist
   for (const filename of coreFiles) {
+    if (isProtected(filename)) continue;
     try {
       const content = await fs.readFile(filename, 'utf8');
-      context += `\n=== ${filename} ===\n${content}\n`;
+      sections.push({ name: filename, content, lowValue: LOCKFILES.includes(path.basename(filename)) });
     } catch (error) {
       // File doesn't exist, skip silently
     }
@@ -87,16 +105,46 @@ async function getRepoContext(options = {}) {
         .split('\n')
         .filter(file => file && !excludePatterns.some(pattern => 
           file.includes(pattern) || file.match(new RegExp(pattern.replace('*', '.*')))
-        ))
+        ) && !isProtected(file))
         .slice(0, maxFiles);
 
-      context += `\n=== Git Tracked Files (${gitFiles.length}) ===\n`;
-      context += gitFiles.join('\n') + '\n';
+      // The file list is small and tells the model what exists; never trimmed
+      sections.push({ name: `Git Tracked Files (${gitFiles.length})`, content: gitFiles.join('\n'), fixed: true });
     } catch (error) {
       console.warn('⚠️ Could not get git tracked files:', error.message);
     }
   }
 
+  // Tell the model up front which paths it cannot change
+  const writeRules = [
+    ...pathRules.protect.map(rule => `protected: ${rule.pattern}`),
+    ...(pathRules.allowWrite || []).map(rule => `writable: ${rule.pattern}`)
+  ];
+  if (writeRules.length > 0) {
+    sections.push({ name: 'Write Restrictions', content: writeRules.join('\n'), fixed: true });
+  }
+
+  const fitted = tokenBudget !== null
+    ? fitToBudget(sections, tokenBudget)
+    : { sections, trimmed: [] };
+
+  let context = '';
+  for (const section of fitted.sections) {
+    if (section.dropped) {
+      context += `\n=== ${section.name} (omitted to fit the context budget) ===\n`;
+    } else if (section.truncated) {
+      context += `\n=== ${section.name} (truncated) ===\n${section.content}\n`;
+    } else {
+      context += `\n=== ${section.name} ===\n${section.content}\n`;
+    }
+  }
+
+  if (report) {
+    report.tokens = estimateTokens(context);
+    report.budget = tokenBudget;
+    report.trimmed = fitted.trimmed;
+  }
+
   return context;
 }
 
@@ -127,10 +175,11 @@ function extractMentionedFiles(text, options = {}) {
 }
 
 async function getMentionedFilesContent(mentionedFiles, options = {}) {
-  const { maxFileSize = 10000 } = options;
+  const { maxFileSize = 10000, pathRules = loadPathRules() } = options;
   let content = '';
 
   for (const filename of mentionedFiles) {
+    if (findProtectRule(pathRules, filename)) continue;
     try {
       const stats = await fs.stat(filename);
       if (stats.size > maxFileSize) {
@@ -0,0 +1,101 @@
+const { parseFiles, parseEdits, parseDiffs, parseDirectives } = require('./file-processor.js');
+const { patchPath } = require('./patch.js');
+
+const MAX_SUMMARY_FEEDBACK = 500;
+
+// Short stand-in for an old assistant turn: which files it wrote, not their bodies
+function summarizeResponse(response, step) {
+  const paths = parseFiles(response).map(f => f.path);
+  const files = paths.filter(p => p !== 'eval.sh');
+  const edited = parseEdits(response).map(e => e.path);
+  const patched = parseDiffs(response).map(patchPath);
+  const directives = parseDirectives(response);
+  const deleted = directives.filter(d => d.type === 'delete').map(d => d.path);
+  const renamed = directives.filter(d => d.type === 'rename').map(d => `${d.from} -> ${d.to}`);
+  const modes = directives.filter(d => d.type === 'mode' && d.mode).map(d => `${d.path} to ${d.mode}`);
+  const rolledBack = directives.some(d => d.type === 'rollback');
+  const hadEval = paths.includes('eval.sh');
+  const parts = [
+    ...(rolledBack ? ['rolled back the previous step'] : []),
+    files.length > 0 ? `wrote ${files.join(', ')}` : 'wrote no files',
+    ...(edited.length > 0 ? [`edited ${edited.join(', ')}`] : []),
+    ...(patched.length > 0 ? [`patched ${patched.join(', ')}`] : []),
+    ...(deleted.length > 0 ? [`deleted ${deleted.join(', ')}`] : []),
+    ...(renamed.length > 0 ? [`renamed ${renamed.join(', ')}`] : []),
+    ...(modes.length > 0 ? [`set the mode of ${modes.join(', ')}`] : []),
+    hadEval ? 'ran an eval script' : 'no eval script'
+  ];
+  return `[Step ${step} response omitted to save context: ${parts.join('; ')}. Re-read files with cat in eval.sh if you need their current contents.]`;
+}
+
+function summarizeFeedback(content) {
+  if (content.length <= MAX_SUMMARY_FEEDBACK) return content;
+  return `${content.slice(0, MAX_SUMMARY_FEEDBACK)}\n...[older eval output truncated]`;
+}
+
+// Message history for the step loop. The first user turn (task + context) is
+// always sent verbatim; each step then adds an assistant turn and a user turn
+// with its eval feedback (or, in tool mode, tool results). Only the most recent `keepRecentSteps` exchanges are
+// sent in full, older ones are replaced by short summaries so roles keep
+// alternating and the model still knows what happened earlier.
+class Conversation {
+  constructor(options = {}) {
+    this.options = {
+      keepRecentSteps: 3,
+      ...options
+    };
+    this.messages = [];
+  }
+
+  addUser(content) {
+    this.messages.push({ role: 'user', content });
+  }
+
+  // Thinking blocks only have to be sent back with tool calls (Anthropic checks
+  // their signatures there); text turns drop them.
+  addAssistant(content, toolCalls = [], thinking = []) {
+    this.messages.push(toolCalls.length > 0
+      ? { role: 'assistant', content, toolCalls, ...(thinking.length > 0 && { thinking }) }
+      : { role: 'assistant', content });
+  }
+
+  addToolResult(toolCallId, content, isError = false) {
+    this.messages.push({ role: 'tool', toolCallId, content, isError });
+  }
+
+  get stepCount() {
+    return this.messages.filter(m => m.role === 'assistant').length;
+  }
+
+  toMessages() {
+    const cutoff = this.stepCount - this.options.keepRecentSteps;
+    let step = 0;
+
+    return this.messages.map((message, index) => {
+      if (index === 0) return message;
+      if (message.role === 'assistant') step++;
+      if (step > cutoff) return message;
+
+      if (message.role === 'tool') {
+        return { ...message, content: summarizeFeedback(message.content) };
+      }
+      if (message.role === 'user') {
+        return { role: 'user', content: summarizeFeedback(message.content) };
+      }
+      if (message.toolCalls) {
+        // Tool calls must stay paired with their results; only drop bulky inputs
+        // (and thinking, which is only required on the latest tool turn)
+        const { thinking, ...rest } = message;
+        return {
+          ...rest,
+          toolCalls: message.toolCalls.map(call => call.input && call.input.content !== undefined
+            ? { ...call, input: { ...call.input, content: '[omitted to save context]' } }
+            : call)
+        };
+      }
+      return { role: 'assistant', content: summarizeResponse(message.content, step) };
+    });
+  }
+}
+
+module.exports = { Conversation, summarizeResponse };
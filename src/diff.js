@@ -0,0 +1,165 @@
+// Unified diffs of whole files, for the dry-run preview (git diff style)
+
+const CONTEXT_LINES = 3;
+
+// Beyond this many line pairs the changed region is shown as removed and
+// re-added instead of computing a minimal diff
+const MAX_DIFF_CELLS = 4000000;
+
+// Line operations turning a into b: [{ op: ' ' | '-' | '+', text }]
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(text => ({ op: ' ', text }));
+  const tail = a.slice(endA).map(text => ({ op: ' ', text }));
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...oldLines.map(text => ({ op: '-', text })),
+      ...newLines.map(text => ({ op: '+', text })),
+      ...tail
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const n = oldLines.length;
+  const m = newLines.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && oldLines[i] === newLines[j]) {
+      middle.push({ op: ' ', text: oldLines[i++] });
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      middle.push({ op: '-', text: oldLines[i++] });
+    } else {
+      middle.push({ op: '+', text: newLines[j++] });
+    }
+  }
+  return [...head, ...middle, ...tail];
+}
+
+const splitLines = text => {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Hunks of a unified diff between two texts, without file headers. A missing
+// final newline is marked like git does.
+function unifiedHunks(oldText, newText, context = CONTEXT_LINES) {
+  const mark = (lines, text) => (text !== '' && !text.endsWith('\n')
+    ? [...lines.slice(0, -1), `${lines[lines.length - 1]}\n\\ No newline at end of file`]
+    : lines);
+  const ops = diffLines(mark(splitLines(oldText), oldText), mark(splitLines(newText), newText));
+
+  // Changes less than two contexts apart share a hunk, as in git
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let lastChange = -1;
+  const closeHunk = () => {
+    if (current) current.lines.push(...ops.slice(lastChange + 1, lastChange + 1 + context));
+  };
+
+  ops.forEach((line, index) => {
+    if (line.op !== ' ') {
+      if (current && index - lastChange <= context * 2 + 1) {
+        current.lines.push(...ops.slice(lastChange + 1, index));
+      } else {
+        closeHunk();
+        const lead = ops.slice(Math.max(0, index - context), index);
+        current = { oldStart: oldLine - lead.length, newStart: newLine - lead.length, lines: lead };
+        hunks.push(current);
+      }
+      current.lines.push(line);
+      lastChange = index;
+    }
+    if (line.op !== '+') oldLine++;
+    if (line.op !== '-') newLine++;
+  });
+  closeHunk();
+
+  return hunks.map(hunk => {
+    const oldCount = hunk.lines.filter(line => line.op !== '+').length;
+    const newCount = hunk.lines.filter(line => line.op !== '-').length;
+    const range = (start, count) => `${count === 0 ? start - 1 : start}${count === 1 ? '' : `,${count}`}`;
+    const body = hunk.lines.map(line => `${line.op}${line.text}`);
+    return [`@@ -${range(hunk.oldStart, oldCount)} +${range(hunk.newStart, newCount)} @@`, ...body].join('\n');
+  }).join('\n');
+}
+
+const isBinary = buffer => buffer.includes(0);
+const fileMode = mode => `100${(mode & 0o777).toString(8).padStart(3, '0')}`;
+
+// Git-style diff of one overlay change ({ path, before, after, beforeMode,
+// afterMode } with Buffers, null for a missing file)
+function formatFileDiff(change) {
+  const { path: file, before, after, beforeMode, afterMode } = change;
+  const header = [`diff --git a/${file} b/${file}`];
+  if (before === null) header.push(`new file mode ${fileMode(afterMode)}`);
+  else if (after === null) header.push(`deleted file mode ${fileMode(beforeMode)}`);
+  else if (beforeMode !== afterMode) header.push(`old mode ${fileMode(beforeMode)}`, `new mode ${fileMode(afterMode)}`);
+
+  if (before !== null && after !== null && before.equals(after)) return header.join('\n');
+  if ((before && isBinary(before)) || (after && isBinary(after))) {
+    return [...header, `Binary files ${before ? `a/${file}` : '/dev/null'} and ${after ? `b/${file}` : '/dev/null'} differ`].join('\n');
+  }
+
+  const hunks = unifiedHunks(before ? before.toString('utf8') : '', after ? after.toString('utf8') : '');
+  return [
+    ...header,
+    `--- ${before ? `a/${file}` : '/dev/null'}`,
+    `+++ ${after ? `b/${file}` : '/dev/null'}`,
+    ...(hunks ? [hunks] : [])
+  ].join('\n');
+}
+
+const COLORS = { bold: '\x1b[1m', cyan: '\x1b[36m', red: '\x1b[31m', green: '\x1b[32m', reset: '\x1b[0m' };
+
+// Colors like `git diff`; on by default only for a terminal, NO_COLOR and
+// FORCE_COLOR override
+function shouldColor(stream = process.stdout) {
+  if (process.env.NO_COLOR) return false;
+  if (process.env.FORCE_COLOR && process.env.FORCE_COLOR !== '0') return true;
+  return Boolean(stream.isTTY);
+}
+
+function colorizeDiff(text) {
+  const paint = (color, line) => `${COLORS[color]}${line}${COLORS.reset}`;
+  return text.split('\n').map(line => {
+    if (/^(diff --git|--- |\+\+\+ |new file mode|deleted file mode|old mode|new mode|Binary files)/.test(line)) return paint('bold', line);
+    if (line.startsWith('@@')) return paint('cyan', line);
+    if (line.startsWith('+')) return paint('green', line);
+    if (line.startsWith('-')) return paint('red', line);
+    return line;
+  }).join('\n');
+}
+
+module.exports = {
+  diffLines,
+  unifiedHunks,
+  formatFileDiff,
+  shouldColor,
+  colorizeDiff
+};
@@ -1,19 +1,30 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { execSync } = require('child_process');
+const { spawn } = require('child_process');
+const { parsePatch, patchPath, applyHunks, formatHunk } = require('./patch.js');
+const { UnsafePathError, resolveRepoPath } = require('./sandbox.js');
+const { loadPathRules, findProtectRule, writeBlockReason } = require('./path-rules.js');
+const { describeRollback } = require('./snapshot.js');
 
+const EVAL_SCRIPT_PATH = '.berrry_eval.sh';
+
+// Temp files of writes in progress, removed by cleanupTempFiles on interrupt
+const pendingTempFiles = new Set();
+
+// Content is kept byte for byte (leading blank lines, indentation, trailing
+// newlines); only the line breaks that frame it belong to the markers.
 function parseFiles(response) {
   const files = [];
   
   // Use robust parsing algorithm with regex and backreferences
-  const fileRegex = /=== FILENAME: (.+?) ===\s*\n([\s\S]*?)\n=== END: \1 ===/g;
+  const fileRegex = /=== FILENAME: (.+?) ===[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?=== END: \1 ===/g;
   let match;
   const foundRanges = [];
 
   // First pass: find all valid ranges using backreference validation
   while ((match = fileRegex.exec(response)) !== null) {
     const filename = match[1].trim();
-    const content = match[2].trim();
+    const content = match[2] || '';
     
     foundRanges.push({
       filename,
@@ -34,36 +45,773 @@ function parseFiles(response) {
   
   // Convert to the format expected by the rest of the function
   for (const range of outerRanges) {
-    files.push({ path: range.filename, content: range.content });
+    const content = unwrapCodeFence(range.content, range.filename);
+    files.push({ path: range.filename, content: content ?? range.content, ...(content !== null && { unfenced: true }) });
   }
 
   return files;
 }
 
+const MARKDOWN_FILE = /\.(md|markdown|mdx)$/i;
+
+// Models often wrap a whole block in a markdown fence (```js ... ```). Returns
+// the content between the fences when one fence pair encloses everything but
+// blank lines, or null to keep the block as is. Markdown files keep their
+// fences unless the wrapping fence is tagged md/markdown, and a closing fence
+// inside the body means the fences belong to the file (several code blocks).
+function unwrapCodeFence(content, filePath) {
+  const lines = content.split('\n');
+  const first = lines.findIndex(line => line.trim() !== '');
+  let last = lines.length - 1;
+  while (last > first && lines[last].trim() === '') last--;
+  if (first === -1 || last === first) return null;
+
+  const open = lines[first].match(/^(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*?\r?$/);
+  if (!open) return null;
+  const [, fence, info] = open;
+  if (MARKDOWN_FILE.test(filePath) && !/^(md|markdown)$/i.test(info)) return null;
+
+  const isClosing = line => {
+    const close = line.match(/^(`{3,}|~{3,})\s*$/);
+    return close && close[1][0] === fence[0] && close[1].length >= fence.length;
+  };
+  if (!isClosing(lines[last])) return null;
+  if (lines.slice(first + 1, last).some(isClosing)) return null;
+
+  const body = lines.slice(first + 1, last);
+  return body.length > 0 ? `${body.join('\n')}\n` : '';
+}
+
+const EDIT_SEARCH = '<<<<<<< SEARCH';
+const EDIT_DIVIDER = '=======';
+const EDIT_REPLACE = '>>>>>>> REPLACE';
+
+// === EDIT: path === blocks change part of an existing file with one or more
+// SEARCH/REPLACE hunks:
+//   <<<<<<< SEARCH
+//   lines currently in the file
+//   =======
+//   lines to put there instead
+//   >>>>>>> REPLACE
+// Returns [{ path, hunks: [{ search, replace }], error }]; error is set when
+// the block is malformed. Hunk text is kept verbatim (never trimmed).
+function parseEdits(response) {
+  const edits = [];
+  const editRegex = /=== EDIT: (.+?) ===[ \t]*\r?\n([\s\S]*?)\r?\n=== END: \1 ===/g;
+  let match;
+
+  while ((match = editRegex.exec(response)) !== null) {
+    edits.push({ path: match[1].trim(), ...parseHunks(match[2]) });
+  }
+
+  return edits;
+}
+
+function parseHunks(body) {
+  const hunks = [];
+  let hunk = null;
+  let section = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const marker = line.trim();
+    if (!hunk && marker === EDIT_SEARCH) {
+      hunk = { search: [], replace: [] };
+      section = 'search';
+    } else if (section === 'search' && marker === EDIT_DIVIDER) {
+      section = 'replace';
+    } else if (section === 'replace' && marker === EDIT_REPLACE) {
+      hunks.push({ search: hunk.search.join('\n'), replace: hunk.replace.join('\n') });
+      hunk = null;
+      section = null;
+    } else if (hunk) {
+      hunk[section].push(line);
+    } else if (marker) {
+      return { hunks, error: `unexpected text outside a SEARCH/REPLACE hunk: "${marker.slice(0, 60)}"` };
+    }
+  }
+
+  if (hunk) return { hunks, error: `unterminated hunk (expected ${section === 'search' ? EDIT_DIVIDER : EDIT_REPLACE})` };
+  if (hunks.length === 0) return { hunks, error: 'no SEARCH/REPLACE hunks' };
+  return { hunks, error: null };
+}
+
+function countOccurrences(text, search) {
+  let count = 0;
+  for (let index = text.indexOf(search); index !== -1; index = text.indexOf(search, index + 1)) {
+    count++;
+  }
+  return count;
+}
+
+// Returns a predicate telling whether an offset in the response falls inside
+// a FILENAME or EDIT block, whose body is file content rather than protocol
+function createBlockFilter(response) {
+  const blocks = [];
+  const blockRegex = /=== (?:FILENAME|EDIT): (.+?) ===[ \t]*\r?\n(?:[\s\S]*?\n)?=== END: \1 ===/g;
+  let match;
+  while ((match = blockRegex.exec(response)) !== null) {
+    blocks.push([match.index, match.index + match[0].length]);
+  }
+  return index => blocks.some(([start, end]) => index > start && index < end);
+}
+
+// One-line directives outside file blocks:
+//   === ROLLBACK ===          (undo the previous step's file changes)
+//   === DELETE: path ===
+//   === RENAME: old/path -> new/path ===
+//   === MODE: 755 path ===    (permission bits, e.g. to make a script executable)
+// Returns [{ type: 'rollback' } | { type: 'delete', path } |
+// { type: 'rename', from, to } | { type: 'mode', mode, path }] in order; mode
+// is null when it is not an octal number.
+function parseDirectives(response) {
+  const insideBlock = createBlockFilter(response);
+  const directives = [];
+  const directiveRegex = /^=== (?:ROLLBACK|(DELETE|RENAME|MODE): (.+?)) ===[ \t]*$/gm;
+  let match;
+
+  while ((match = directiveRegex.exec(response)) !== null) {
+    if (insideBlock(match.index)) continue;
+
+    if (!match[1]) {
+      directives.push({ type: 'rollback' });
+    } else if (match[1] === 'DELETE') {
+      directives.push({ type: 'delete', path: match[2].trim() });
+    } else if (match[1] === 'MODE') {
+      const [, mode, filePath] = match[2].trim().match(/^(\S+)\s+(.+)$/) || [null, null, match[2].trim()];
+      directives.push({ type: 'mode', mode: /^0?[0-7]{3}$/.test(mode) ? mode.slice(-3) : null, path: filePath });
+    } else {
+      const [from, to] = match[2].split(' -> ').map(part => part.trim());
+      if (from && to) directives.push({ type: 'rename', from, to });
+    }
+  }
+
+  return directives;
+}
+
+const directivePaths = directive => ({
+  delete: [directive.path],
+  rename: [directive.from, directive.to],
+  mode: [directive.path],
+  rollback: []
+})[directive.type];
+
+// Fenced unified diffs: ```diff / ```patch blocks, or any fence whose body
+// has file headers. Fences inside FILENAME/EDIT blocks are file content, not
+// patches. Returns the parsed file patches (see parsePatch in patch.js).
+function parseDiffs(response) {
+  const insideBlock = createBlockFilter(response);
+  const patches = [];
+  const fenceRegex = /^```([\w-]*)[ \t]*\r?\n([\s\S]*?)^```[ \t]*$/gm;
+  let match;
+  while ((match = fenceRegex.exec(response)) !== null) {
+    if (insideBlock(match.index)) continue;
+
+    const [, language, body] = match;
+    const isDiff = ['diff', 'patch'].includes(language.toLowerCase()) ||
+      /^diff --git /m.test(body) || /^--- .*\r?\n\+\+\+ /m.test(body);
+    if (isDiff) patches.push(...parsePatch(body));
+  }
+
+  return patches;
+}
+
+const normalizeWhitespace = line => line.trim().replace(/\s+/g, ' ');
+const indentOf = line => line.match(/^[ \t]*/)[0];
+
+// Applies one hunk to `content`: an exact, unique match first, then a
+// line-by-line match that ignores whitespace differences (indentation, CRLF,
+// trailing spaces), re-indenting the replacement to fit. Resolves to
+// { content, fuzzy } or { error }.
+function applyEditHunk(content, hunk) {
+  const exact = countOccurrences(content, hunk.search);
+  if (exact === 1) {
+    return { content: content.replace(hunk.search, () => hunk.replace), fuzzy: false };
+  }
+  if (exact > 1) {
+    return { error: `SEARCH text matches ${exact} places; include more surrounding lines to make it unique` };
+  }
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const search = hunk.search.split('\n').map(normalizeWhitespace);
+  const matches = [];
+
+  for (let start = 0; start + search.length <= lines.length; start++) {
+    if (search.every((line, offset) => normalizeWhitespace(lines[start + offset]) === line)) {
+      matches.push(start);
+    }
+  }
+
+  if (matches.length === 0) {
+    return { error: 'SEARCH text not found; it must match the current file (cat the file to see it)' };
+  }
+  if (matches.length > 1) {
+    return { error: `SEARCH text matches ${matches.length} places (ignoring whitespace); include more surrounding lines to make it unique` };
+  }
+
+  const start = matches[0];
+  const searchLines = hunk.search.split('\n');
+  // Re-indent by the first line whose indentation differs from the file
+  const anchor = searchLines.findIndex((line, offset) =>
+    line.trim() && indentOf(line) !== indentOf(lines[start + offset]));
+  const fromIndent = anchor === -1 ? '' : indentOf(searchLines[anchor]);
+  const toIndent = anchor === -1 ? '' : indentOf(lines[start + anchor]);
+  const replacement = hunk.replace === '' ? [] : hunk.replace.split('\n').map(line =>
+    line.trim() && fromIndent !== toIndent && line.startsWith(fromIndent)
+      ? toIndent + line.slice(fromIndent.length)
+      : line);
+
+  lines.splice(start, searchLines.length, ...replacement);
+  return { content: lines.join(eol), fuzzy: true };
+}
+
+// Applies an EDIT block to the file on disk. An empty SEARCH creates a file
+// that does not exist yet. Hunks that match are written even if others fail.
+// Resolves to { applied, fuzzy, errors }.
+async function applyFileEdit(edit, options = {}) {
+  const errors = [];
+  if (edit.error) {
+    return { applied: 0, fuzzy: 0, errors: [edit.error] };
+  }
+
+  let content = null;
+  try {
+    content = await readFile(edit.path, options);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let applied = 0;
+  let fuzzy = 0;
+  edit.hunks.forEach((hunk, index) => {
+    const label = edit.hunks.length > 1 ? `hunk ${index + 1}: ` : '';
+    if (hunk.search === '') {
+      if (content === null) {
+        content = hunk.replace;
+        applied++;
+      } else {
+        errors.push(`${label}empty SEARCH is only allowed when creating a new file`);
+      }
+      return;
+    }
+    if (content === null) {
+      errors.push(`${label}file does not exist`);
+      return;
+    }
+
+    const result = applyEditHunk(content, hunk);
+    if (result.error) {
+      const preview = hunk.search.split('\n').slice(0, 10).join('\n');
+      errors.push(`${label}${result.error}\n${EDIT_SEARCH}\n${preview}\n${EDIT_DIVIDER}`);
+      return;
+    }
+    content = result.content;
+    applied++;
+    if (result.fuzzy) fuzzy++;
+  });
+
+  if (applied > 0) {
+    await writeFile(edit.path, content, options);
+  }
+  return { applied, fuzzy, errors };
+}
+
+// Applies one file of a unified diff: creates, deletes, renames and/or
+// patches it. Hunks that apply are written even if others are rejected.
+// Resolves to { applied, adjusted, errors, paths (every path touched) }.
+async function applyFilePatch(patch, options = {}) {
+  const { type, oldPath, newPath, hunks } = patch;
+  for (const file of [oldPath, newPath]) {
+    if (file !== null) await assertWritable(file);
+  }
+
+  if (type === 'delete') {
+    await deleteFile(oldPath, options);
+    return { applied: hunks.length, adjusted: 0, errors: [], paths: [oldPath] };
+  }
+
+  const exists = async file => Boolean(options.overlay ? options.overlay.lstat(file) : await fs.stat(file).catch(() => null));
+  if (type === 'add' && await exists(newPath)) {
+    return { applied: 0, adjusted: 0, errors: ['file already exists; patch it instead of adding it'], paths: [] };
+  }
+  if (type === 'rename' && await exists(newPath)) {
+    return { applied: 0, adjusted: 0, errors: [`cannot rename onto existing file ${newPath}`], paths: [] };
+  }
+
+  let content = '';
+  if (type !== 'add') {
+    try {
+      content = await readFile(oldPath, options);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return { applied: 0, adjusted: 0, errors: ['file does not exist'], paths: [] };
+    }
+  }
+
+  const result = applyHunks(content, hunks);
+  const errors = result.rejected.map(({ index, hunk }) =>
+    `hunk ${index + 1} rejected: context not found (cat the file and diff against its current contents)\n${formatHunk(hunk)}`);
+
+  const paths = [];
+  if (result.applied > 0 || type !== 'modify') {
+    await writeFile(newPath, result.content, options);
+    paths.push(newPath);
+  }
+  if (type === 'rename') {
+    // The new file keeps the old one's mode (+x), as with === RENAME ===
+    const source = options.overlay ? options.overlay.lstat(oldPath) : await fs.stat(oldPath);
+    await chmodFile(newPath, (source.mode & 0o7777).toString(8), options);
+    await deleteFile(oldPath, options);
+    paths.push(oldPath);
+  }
+  return { applied: result.applied, adjusted: result.adjusted, errors, paths };
+}
+
+// Incremental counterpart of parseFiles for streamed responses: feed text chunks
+// with push() and onFile fires as soon as a block's END marker arrives. Only used
+// for progress reporting; parseFiles on the full response stays authoritative.
+function createFileStreamParser(onFile) {
+  let pending = '';
+  let open = null;
+
+  const handleLine = (line) => {
+    if (!open) {
+      const header = line.match(/^=== (FILENAME|EDIT): (.+?) ===\s*$/);
+      if (header) open = { filename: header[2].trim(), edit: header[1] === 'EDIT', lines: [] };
+      return;
+    }
+
+    const end = line.match(/^=== END: (.+?) ===\s*$/);
+    if (end && end[1].trim() === open.filename) {
+      onFile({ path: open.filename, content: open.lines.join('\n'), ...(open.edit && { edit: true }) });
+      open = null;
+      return;
+    }
+
+    open.lines.push(line);
+  };
+
+  return {
+    push(chunk) {
+      pending += chunk;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    },
+    end() {
+      if (pending) handleLine(pending);
+      pending = '';
+      open = null;
+    }
+  };
+}
+
+// Name of the FILENAME or EDIT block still open at the end of a response - the
+// file being written when the output limit cut it off - or null if all are closed
+function findUnterminatedFile(response) {
+  let open = null;
+
+  for (const line of response.split('\n')) {
+    if (!open) {
+      const header = line.match(/^=== (?:FILENAME|EDIT): (.+?) ===\s*$/);
+      if (header) open = header[1].trim();
+      continue;
+    }
+
+    const end = line.match(/^=== END: (.+?) ===\s*$/);
+    if (end && end[1].trim() === open) open = null;
+  }
+
+  return open;
+}
+
+// Problems with the FILENAME/EDIT block structure that make the parsers above
+// skip or swallow a block without an error: unterminated blocks, END markers
+// naming another file, stray END markers, blocks nested inside another block
+// and files written twice. Mirrors parseFiles (a block runs to the first END
+// with its name; whatever lies inside is content). Returns { errors, warnings }
+// with one message per problem, meant for the model: errors are blocks that
+// were lost, warnings are nested or repeated blocks that may well be intended.
+function diagnoseBlocks(response) {
+  const lines = response.split('\n').map(line => line.replace(/\r$/, ''));
+  const headerAt = i => lines[i].match(/^=== (FILENAME|EDIT): (.+?) ===\s*$/);
+  const endAt = i => {
+    const end = lines[i].match(/^=== END: (.+?) ===/);
+    return end ? end[1].trim() : null;
+  };
+
+  const errors = [];
+  const warnings = [];
+  const explainedEnds = new Set();
+  const written = new Map();
+  let i = 0;
+
+  while (i < lines.length) {
+    const header = headerAt(i);
+    if (!header) {
+      const end = endAt(i);
+      if (end && !explainedEnds.has(i)) {
+        errors.push(`"=== END: ${end} ===" on line ${i + 1} has no matching "=== FILENAME: ${end} ===" or "=== EDIT: ${end} ===" header above it, so that block was ignored. Check the header line and send the block again.`);
+      }
+      i++;
+      continue;
+    }
+
+    const [, kind, name] = header;
+    const label = `${kind} ${name.trim()}`;
+    let close = -1;
+    for (let j = i + 1; j < lines.length && close === -1; j++) {
+      if (endAt(j) === name.trim()) close = j;
+    }
+
+    if (close === -1) {
+      // An END before the next header was most likely meant to close this block
+      let other = -1;
+      for (let j = i + 1; j < lines.length && other === -1 && !headerAt(j); j++) {
+        if (endAt(j) !== null) other = j;
+      }
+      let issue = `${label} (line ${i + 1}) was ignored: no "=== END: ${name.trim()} ===" line follows it`;
+      if (other !== -1) {
+        explainedEnds.add(other);
+        issue += `; found "=== END: ${endAt(other)} ===" on line ${other + 1} instead`;
+      }
+      errors.push(`${issue}. Send the whole block again with a matching END marker.`);
+      i++;
+      continue;
+    }
+
+    const nested = [];
+    for (let j = i + 1; j < close; j++) {
+      const inner = headerAt(j);
+      if (inner) nested.push(`${inner[1]} ${inner[2].trim()} (line ${j + 1})`);
+    }
+    if (nested.length > 0) {
+      warnings.push(`${nested.join(', ')} ${nested.length === 1 ? 'is' : 'are'} nested inside ${label} (line ${i + 1}) and became part of its content instead of separate blocks. Close each block with its END marker before starting the next (ignore this if the file is meant to contain these lines).`);
+    }
+
+    if (kind === 'FILENAME') {
+      const previous = written.get(name.trim()) || [];
+      written.set(name.trim(), [...previous, i + 1]);
+    }
+    i = close + 1;
+  }
+
+  for (const [name, at] of written) {
+    if (at.length < 2) continue;
+    const kept = name === 'eval.sh' ? 'only the first one runs' : 'only the last one is kept';
+    warnings.push(`FILENAME ${name} appears ${at.length} times (lines ${at.join(', ')}); ${kept}. Send the file once with its complete content.`);
+  }
+
+  return { errors, warnings };
+}
+
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const UTF16LE_BOM = Buffer.from([0xff, 0xfe]);
+
+// Encoding, BOM, line endings and final newline of a file's bytes. eol is
+// null when the file mixes CRLF and LF (or has no line breaks); binary is set
+// for files with NUL bytes.
+function detectTextFormat(buffer) {
+  let encoding = 'utf8';
+  let bom = null;
+  if (buffer.subarray(0, 3).equals(UTF8_BOM)) {
+    bom = UTF8_BOM;
+  } else if (buffer.subarray(0, 2).equals(UTF16LE_BOM)) {
+    encoding = 'utf16le';
+    bom = UTF16LE_BOM;
+  }
+
+  const text = buffer.subarray(bom ? bom.length : 0).toString(encoding);
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/\n/g) || []).length - crlf;
+
+  return {
+    text,
+    encoding,
+    bom,
+    binary: text.includes('\0'),
+    eol: crlf > 0 && lf === 0 ? '\r\n' : lf > 0 && crlf === 0 ? '\n' : null,
+    finalNewline: text === '' || text.endsWith('\n')
+  };
+}
+
+// Encodes generated text like the file it replaces: same encoding, BOM and
+// line endings, and a final newline unless that file deliberately had none.
+// New files are UTF-8 and always end with a newline.
+function encodeLikeExisting(content, existing) {
+  const format = existing ? detectTextFormat(existing) : null;
+  if (format && format.binary) return Buffer.from(content);
+
+  let text = content.replace(/^\uFEFF/, '');
+  if (format && format.eol) {
+    text = text.replace(/\r?\n/g, format.eol);
+  }
+  if (text !== '' && !text.endsWith('\n') && (!format || format.finalNewline)) {
+    text += (format && format.eol) || (text.includes('\r\n') ? '\r\n' : '\n');
+  }
+
+  const bom = format ? format.bom : content.startsWith('\uFEFF') ? UTF8_BOM : null;
+  const bytes = Buffer.from(text, format ? format.encoding : 'utf8');
+  return bom ? Buffer.concat([bom, bytes]) : bytes;
+}
+
+// Every change must stay inside the repository and respect .berrryignore /
+// .berrry.json (re-read each time, so edits to them apply immediately).
+// Reads are only refused for protected paths, which may hold secrets.
+async function assertWritable(filePath) {
+  const root = process.cwd();
+  const absolute = await resolveRepoPath(filePath, root);
+  const reason = writeBlockReason(loadPathRules(root), path.relative(root, absolute));
+  if (reason) throw new UnsafePathError(filePath, reason);
+}
+
+async function assertReadable(filePath) {
+  const root = process.cwd();
+  const absolute = await resolveRepoPath(filePath, root);
+  const rule = findProtectRule(loadPathRules(root), path.relative(root, absolute));
+  if (rule) throw new UnsafePathError(filePath, `path is protected by "${rule.pattern}" in ${rule.source}`);
+}
+
+const notFound = filePath => Object.assign(new Error(`ENOENT: no such file or directory, '${filePath}'`), { code: 'ENOENT' });
+
+// Single entry point for writing a generated file, shared by the text
+// protocol and tool calls. Content goes to a temp file that is renamed over
+// the target, so an interrupted run never leaves a half-written file; the
+// target keeps its mode, encoding, BOM and line endings (encodeLikeExisting).
+// Like deleteFile and renameFile it goes through assertWritable first.
+// With options.snapshots (a SnapshotStore) the previous state is saved first.
+// With options.overlay (a FileOverlay, for dry runs) these helpers change the
+// overlay instead of the disk.
+async function writeFile(filePath, content, options = {}) {
+  const { createDirectories = true, snapshots = null, overlay = null } = options;
+  await assertWritable(filePath);
+  if (overlay) {
+    overlay.write(filePath, encodeLikeExisting(content, overlay.read(filePath)));
+    return;
+  }
+  if (snapshots) snapshots.save(filePath);
+
+  if (createDirectories) {
+    const dir = path.dirname(filePath);
+    if (dir !== '.') {
+      await fs.mkdir(dir, { recursive: true });
+    }
+  }
+
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.berrry-${process.pid}.tmp`);
+  pendingTempFiles.add(tempPath);
+  try {
+    const previous = await fs.readFile(filePath).catch(() => null);
+    await fs.writeFile(tempPath, encodeLikeExisting(content, previous));
+    const existing = await fs.stat(filePath).catch(() => null);
+    if (existing) await fs.chmod(tempPath, existing.mode & 0o7777);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  } finally {
+    pendingTempFiles.delete(tempPath);
+  }
+}
+
+// Text without its BOM; UTF-16 files are decoded
+async function readFile(filePath, options = {}) {
+  const { overlay = null } = options;
+  await assertReadable(filePath);
+  if (!overlay) return detectTextFormat(await fs.readFile(filePath)).text;
+
+  const content = overlay.read(filePath);
+  if (content === null) throw notFound(filePath);
+  return detectTextFormat(content).text;
+}
+
+async function deleteFile(filePath, options = {}) {
+  const { snapshots = null, overlay = null } = options;
+  await assertWritable(filePath);
+  if (overlay) {
+    if (!overlay.lstat(filePath)) throw notFound(filePath);
+    overlay.remove(filePath);
+    return;
+  }
+  if (snapshots) snapshots.save(filePath);
+  await fs.unlink(filePath);
+}
+
+async function chmodFile(filePath, mode, options = {}) {
+  const { snapshots = null, overlay = null } = options;
+  await assertWritable(filePath);
+  if (overlay) {
+    if (!overlay.lstat(filePath)) throw notFound(filePath);
+    overlay.chmod(filePath, parseInt(mode, 8));
+    return;
+  }
+  if (snapshots) snapshots.save(filePath);
+  await fs.chmod(filePath, parseInt(mode, 8));
+}
+
+// Moves a file like `git mv` would (the move is staged with everything else
+// at commit time); refuses to overwrite an existing target
+async function renameFile(fromPath, toPath, options = {}) {
+  const { createDirectories = true, snapshots = null, overlay = null } = options;
+  await assertWritable(fromPath);
+  await assertWritable(toPath);
+
+  const lstat = async file => overlay ? overlay.lstat(file) : await fs.lstat(file).catch(() => null);
+  const source = await lstat(fromPath);
+  if (!source) throw new Error(`${fromPath} does not exist`);
+  if (source.isDirectory()) throw new Error(`${fromPath} is a directory; rename the files in it one by one`);
+  if (await lstat(toPath)) throw new Error(`${toPath} already exists`);
+
+  if (overlay) {
+    overlay.write(toPath, overlay.read(fromPath));
+    overlay.chmod(toPath, source.mode & 0o7777);
+    overlay.remove(fromPath);
+    return;
+  }
+
+  if (snapshots) {
+    snapshots.save(fromPath);
+    snapshots.save(toPath);
+  }
+
+  if (createDirectories && path.dirname(toPath) !== '.') {
+    await fs.mkdir(path.dirname(toPath), { recursive: true });
+  }
+  await fs.rename(fromPath, toPath);
+}
+
+// Removes whatever an interrupted write or eval left behind
+async function cleanupTempFiles() {
+  for (const file of [...pendingTempFiles, EVAL_SCRIPT_PATH]) {
+    await fs.rm(file, { force: true });
+  }
+  pendingTempFiles.clear();
+}
+
+function logFailure(action, label, error) {
+  if (error instanceof UnsafePathError) {
+    console.error(`🚫 Blocked ${action} of ${JSON.stringify(error.path)}: ${error.reason}`);
+  } else {
+    console.error(`❌ Failed to ${action} ${label}: ${error.message}`);
+  }
+}
+
+// Runs ROLLBACK, DELETE and RENAME directives, then writes FILENAME blocks,
+// applies EDIT blocks and unified diffs, and finally MODE directives. Resolves
+// to the paths that changed; options.report, if given, also receives `errors`
+// (one message per failed operation or hunk and per lost block from
+// diagnoseBlocks, meant for the model), `warnings` (suspicious blocks that
+// don't need fixing on their own), `edited`, `patched`, `deleted`, `renamed`,
+// `modes` and `rolledBack`. ROLLBACK needs options.snapshots, which
+// also records every change for later rollbacks. dryRun only lists what the
+// response would change; options.overlay (a FileOverlay) applies it in memory.
 async function parseAndWriteFiles(response, options = {}) {
   const { 
     dryRun = false,
     createDirectories = true,
-    logOutput = true 
+    logOutput = true,
+    report = null,
+    snapshots = null,
+    overlay = null
   } = options;
 
   const files = parseFiles(response);
+  const edits = parseEdits(response);
+  const patches = parseDiffs(response);
+  const directives = parseDirectives(response);
+  const errors = [];
+  const warnings = [];
+  const edited = [];
+  const patched = [];
+  const deleted = [];
+  const renamed = [];
+  const modes = [];
+  const rolledBack = [];
+  if (report) {
+    report.errors = errors;
+    report.warnings = warnings;
+    report.edited = edited;
+    report.patched = patched;
+    report.deleted = deleted;
+    report.renamed = renamed;
+    report.modes = modes;
+    report.rolledBack = rolledBack;
+  }
 
-  if (files.length === 0) {
+  // Malformed blocks are reported even when nothing else could be parsed
+  const diagnosis = diagnoseBlocks(response);
+  errors.push(...diagnosis.errors);
+  warnings.push(...diagnosis.warnings);
+  if (logOutput) [...diagnosis.errors, ...diagnosis.warnings].forEach(issue => console.warn(`⚠️ ${issue}`));
+
+  if (files.length === 0 && edits.length === 0 && patches.length === 0 && directives.length === 0) {
     if (logOutput) console.log('⚠️ No files found in LLM response');
     return [];
   }
 
   if (dryRun) {
     if (logOutput) {
-      console.log(`🔍 DRY RUN: Would create/update ${files.length} files:`);
+      console.log(`🔍 DRY RUN: Would create/update ${files.length + edits.length + patches.length} files:`);
       files.forEach(file => console.log(`  - ${file.path}`));
+      edits.forEach(edit => console.log(`  - ${edit.path} (edit)`));
+      patches.forEach(patch => console.log(`  - ${patchPath(patch)} (${patch.type} patch)`));
+      directives.forEach(directive => console.log({
+        delete: () => `  - ${directive.path} (delete)`,
+        rename: () => `  - ${directive.from} -> ${directive.to} (rename)`,
+        mode: () => `  - ${directive.path} (mode ${directive.mode})`,
+        rollback: () => '  - roll back the previous step'
+      }[directive.type]()));
     }
-    return files.map(f => f.path);
+    return [
+      ...files.map(f => f.path), ...edits.map(e => e.path), ...patches.map(patchPath),
+      ...directives.flatMap(directivePaths)
+    ];
   }
 
-  // Write files (skip eval.sh)
   const writtenFiles = [];
+  const changed = file => {
+    if (!writtenFiles.includes(file)) writtenFiles.push(file);
+  };
+
+  // Rollbacks first: they undo earlier steps, not this one
+  const restoredPaths = [];
+  for (const directive of directives.filter(d => d.type === 'rollback')) {
+    const result = snapshots ? snapshots.rollback() : null;
+    if (!result) {
+      errors.push(`ROLLBACK: ${snapshots ? 'there is no earlier step to roll back' : 'snapshots are not enabled'}`);
+      if (logOutput) console.error('❌ Nothing to roll back');
+      continue;
+    }
+    restoredPaths.push(...result.restored, ...result.removed);
+    restoredPaths.forEach(changed);
+    rolledBack.push(describeRollback(result));
+    if (logOutput) console.log(`⏪ ${describeRollback(result)}`);
+  }
+
+  // Deletes and moves next, so blocks below can write to the new paths
+  for (const directive of directives.filter(d => d.type === 'delete' || d.type === 'rename')) {
+    const label = directive.type === 'delete' ? directive.path : `${directive.from} -> ${directive.to}`;
+    try {
+      if (directive.type === 'delete') {
+        await deleteFile(directive.path, { snapshots, overlay });
+        changed(directive.path);
+        deleted.push(directive.path);
+        if (logOutput) console.log(`🗑️ Deleted: ${directive.path}`);
+      } else {
+        await renameFile(directive.from, directive.to, { createDirectories, snapshots, overlay });
+        changed(directive.from);
+        changed(directive.to);
+        renamed.push(label);
+        if (logOutput) console.log(`🚚 Renamed: ${label}`);
+      }
+    } catch (error) {
+      const message = error.code === 'ENOENT' ? 'file does not exist' : error.message;
+      errors.push(`${directive.type.toUpperCase()} ${label}: ${message}`);
+      if (logOutput) logFailure(directive.type, label, error);
+    }
+  }
+
+  // Write files (skip eval.sh)
   
   for (const file of files) {
     if (file.path === 'eval.sh') {
@@ -74,40 +822,99 @@ async function parseAndWriteFiles(response, options = {}) {
     }
     
     try {
-      if (createDirectories) {
-        const dir = path.dirname(file.path);
-        if (dir !== '.') {
-          await fs.mkdir(dir, { recursive: true });
-        }
-      }
-
-      await fs.writeFile(file.path, file.content);
-      writtenFiles.push(file.path);
+      await writeFile(file.path, file.content, { createDirectories, snapshots, overlay });
+      changed(file.path);
       
       if (logOutput) {
-        console.log(`📝 Created: ${file.path} (${file.content.length} chars)`);
+        console.log(`📝 Created: ${file.path} (${file.content.length} chars${file.unfenced ? ', code fence removed' : ''})`);
       }
     } catch (error) {
-      if (logOutput) {
-        console.error(`❌ Failed to write ${file.path}: ${error.message}`);
+      errors.push(error instanceof UnsafePathError ? error.message : `${file.path}: could not write the file: ${error.message}`);
+      if (logOutput) logFailure('write', file.path, error);
+    }
+  }
+
+  for (const edit of edits) {
+    try {
+      const result = await applyFileEdit(edit, { createDirectories, snapshots, overlay });
+      result.errors.forEach(message => errors.push(`EDIT ${edit.path}: ${message}`));
+
+      if (result.applied > 0) {
+        changed(edit.path);
+        edited.push(edit.path);
+        if (logOutput) {
+          const tolerant = result.fuzzy > 0 ? `, ${result.fuzzy} whitespace-tolerant` : '';
+          console.log(`✏️ Edited: ${edit.path} (${result.applied}/${edit.hunks.length} hunks${tolerant})`);
+        }
+      }
+      if (logOutput && result.errors.length > 0) {
+        console.error(`❌ ${result.errors.length} edit(s) to ${edit.path} failed`);
+      }
+    } catch (error) {
+      errors.push(`EDIT ${edit.path}: ${error.message}`);
+      if (logOutput) logFailure('edit', edit.path, error);
+    }
+  }
+
+  for (const patch of patches) {
+    const label = patch.type === 'rename' ? `${patch.oldPath} -> ${patch.newPath}` : patchPath(patch);
+    try {
+      const result = await applyFilePatch(patch, { createDirectories, snapshots, overlay });
+      result.errors.forEach(message => errors.push(`PATCH ${label}: ${message}`));
+
+      result.paths.forEach(changed);
+      if (result.paths.length > 0) {
+        patched.push(label);
+        if (logOutput) {
+          const icon = { add: '📝', delete: '🗑️', rename: '🚚', modify: '🩹' }[patch.type];
+          const adjusted = result.adjusted > 0 ? `, ${result.adjusted} with offset/fuzz` : '';
+          const hunks = patch.hunks.length > 0 ? ` (${result.applied}/${patch.hunks.length} hunks${adjusted})` : '';
+          console.log(`${icon} Patched: ${label}${hunks}`);
+        }
+      }
+      if (logOutput && result.errors.length > 0) {
+        console.error(`❌ ${result.errors.length} hunk(s) of the patch to ${label} rejected`);
       }
+    } catch (error) {
+      errors.push(`PATCH ${label}: ${error.message}`);
+      if (logOutput) logFailure('patch', label, error);
+    }
+  }
+
+  // Modes last, so they can apply to files created above
+  for (const directive of directives.filter(d => d.type === 'mode')) {
+    try {
+      if (!directive.mode) throw new Error('expected an octal mode such as 755 or 644: === MODE: 755 path ===');
+      await chmodFile(directive.path, directive.mode, { snapshots, overlay });
+      changed(directive.path);
+      modes.push(`${directive.path} ${directive.mode}`);
+      if (logOutput) console.log(`🔐 Mode ${directive.mode}: ${directive.path}`);
+    } catch (error) {
+      const message = error.code === 'ENOENT' ? 'file does not exist' : error.message;
+      errors.push(`MODE ${directive.path}: ${message}`);
+      if (logOutput) logFailure('chmod', directive.path, error);
     }
   }
 
   if (logOutput) {
-    console.log(`✅ Successfully created/updated ${writtenFiles.length} files`);
+    const moves = [
+      ...(rolledBack.length > 0 ? [`rolled back ${rolledBack.length} step(s)`] : []),
+      ...(deleted.length > 0 ? [`deleted ${deleted.length}`] : []),
+      ...(renamed.length > 0 ? [`renamed ${renamed.length}`] : [])
+    ];
+    const moved = [
+      ...directives.filter(d => d.type === 'delete' || d.type === 'rename').flatMap(directivePaths),
+      ...restoredPaths
+    ];
+    const updated = writtenFiles.filter(file => !moved.includes(file)).length;
+    console.log(`✅ Successfully created/updated ${updated} files${moves.length > 0 ? `, ${moves.join(', ')}` : ''}`);
   }
 
   return writtenFiles;
 }
 
 async function runEvalScript(response, options = {}) {
-  const { 
-    timeout = 30000,
-    safeMode = true,
-    logOutput = true,
-    yolo = process.env.YOLO === 'true'
-  } = options;
+  const { logOutput = true } = options;
 
   // Get eval.sh from parsed files
   const files = parseFiles(response);
@@ -118,7 +925,66 @@ async function runEvalScript(response, options = {}) {
     return { success: true, output: 'No eval script', skipped: true };
   }
 
-  const evalScript = evalFile.content;
+  return await executeEvalScript(evalFile.content.trim(), options);
+}
+
+// Runs a script in its own process group so a timeout or cancellation also
+// stops whatever it started (test runners, dev servers). Resolves to
+// { code, killSignal, stdout, stderr, stopped } where stopped is 'timeout' or 'cancelled'.
+// With shell set, command is a shell command line rather than an executable.
+function runScript(command, { timeout, signal, shell = false, env = process.env, cwd = process.cwd() }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { detached: true, shell, env, cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let stopped = null;
+    let killTimer = null;
+
+    const killGroup = (killSignal) => {
+      try {
+        process.kill(-child.pid, killSignal);
+      } catch (error) {
+        // Already gone
+      }
+    };
+    const stop = (reason) => {
+      if (stopped) return;
+      stopped = reason;
+      killGroup('SIGTERM');
+      killTimer = setTimeout(() => killGroup('SIGKILL'), 2000);
+    };
+    const onAbort = () => stop('cancelled');
+    const timer = setTimeout(() => stop('timeout'), timeout);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', (error) => {
+      finish();
+      reject(error);
+    });
+    child.on('close', (code, killSignal) => {
+      finish();
+      resolve({ code, killSignal, stdout, stderr, stopped });
+    });
+  });
+}
+
+async function executeEvalScript(evalScript, options = {}) {
+  const { 
+    timeout = 30000,
+    safeMode = true,
+    logOutput = true,
+    yolo = process.env.YOLO === 'true',
+    signal = null,
+    overlay = null
+  } = options;
   
   if (!evalScript) {
     if (logOutput) console.log('⚠️ Empty eval script');
@@ -141,69 +1007,74 @@ async function runEvalScript(response, options = {}) {
 
     const answer = await new Promise(resolve => {
       readline.question('🤔 Execute this eval script? (y/N): ', resolve);
+      // Ctrl-C at the prompt reaches readline, not the process; pass it on
+      readline.on('SIGINT', () => {
+        resolve('');
+        process.kill(process.pid, 'SIGINT');
+      });
     });
     
     readline.close();
 
+    if (signal && signal.aborted) {
+      return { success: false, output: 'Cancelled', cancelled: true };
+    }
     if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
       if (logOutput) console.log('⏸️ Eval script execution skipped by user');
       return { success: false, output: 'Skipped by user', skipped: true };
     }
   }
 
+  // A dry run evaluates a scratch copy of the tree with its changes applied
+  const cwd = overlay ? overlay.scratchCopy() : process.cwd();
+
   // Write script to temporary file
-  const scriptPath = '.berrry_eval.sh';
+  const scriptPath = path.join(cwd, EVAL_SCRIPT_PATH);
   const scriptContent = `#!/bin/bash\nset -euo pipefail\n\n${evalScript}`;
   
   try {
-    await fs.writeFile(scriptPath, scriptContent);
-    execSync(`chmod +x ${scriptPath}`);
+    await fs.writeFile(scriptPath, scriptContent, { mode: 0o755 });
 
-    if (logOutput) console.log('🏃 Running eval script...');
+    if (logOutput) console.log(overlay ? '🏃 Running eval script on a scratch copy (dry run)...' : '🏃 Running eval script...');
 
-    // Execute with timeout
-    const output = execSync(`./${scriptPath}`, { 
-      encoding: 'utf8',
-      timeout,
-      stdio: 'pipe'  
-    });
+    const { code, killSignal, stdout, stderr, stopped } = await runScript(`./${EVAL_SCRIPT_PATH}`, { timeout, signal, cwd });
 
-    // Clean up
-    await fs.unlink(scriptPath);
+    if (stopped === 'cancelled') {
+      if (logOutput) console.log('🛑 Eval script cancelled');
+      return { success: false, output: 'Cancelled', cancelled: true, stdout, stderr };
+    }
 
-    if (logOutput) {
-      console.log('✅ Eval script completed successfully');
-      if (output.trim()) {
-        console.log('📋 Script output:');
-        console.log(output);
+    if (code === 0) {
+      if (logOutput) {
+        console.log('✅ Eval script completed successfully');
+        if (stdout.trim()) {
+          console.log('📋 Script output:');
+          console.log(stdout);
+        }
       }
+      return { success: true, output: stdout.trim() };
     }
 
-    return { success: true, output: output.trim() };
-  } catch (error) {
-    // Clean up on error
-    try {
-      await fs.unlink(scriptPath);
-    } catch (cleanupError) {
-      // Ignore cleanup errors
-    }
+    const output = stopped === 'timeout'
+      ? `Eval script timed out after ${timeout / 1000}s`
+      : `Eval script failed with ${code !== null ? `exit code ${code}` : `signal ${killSignal}`}`;
 
     if (logOutput) {
-      console.log('❌ Eval script failed:', error.message);
-      if (error.stdout) {
-        console.log('📋 Stdout:', error.stdout);
+      console.log(`❌ ${output}`);
+      if (stdout) {
+        console.log('📋 Stdout:', stdout);
       }
-      if (error.stderr) {
-        console.log('📋 Stderr:', error.stderr);
+      if (stderr) {
+        console.log('📋 Stderr:', stderr);
       }
     }
 
-    return { 
-      success: false, 
-      output: error.message,
-      stdout: error.stdout,
-      stderr: error.stderr
-    };
+    return { success: false, output, stdout, stderr };
+  } catch (error) {
+    if (logOutput) console.log('❌ Eval script failed:', error.message);
+    return { success: false, output: error.message };
+  } finally {
+    await fs.rm(overlay ? cwd : scriptPath, { recursive: true, force: true });
   }
 }
 
@@ -218,8 +1089,23 @@ function hasEvalScript(response) {
 
 module.exports = {
   parseFiles,
+  parseEdits,
+  parseDiffs,
+  parseDirectives,
+  applyEditHunk,
+  createFileStreamParser,
+  findUnterminatedFile,
+  diagnoseBlocks,
   parseAndWriteFiles,
+  readFile,
+  writeFile,
+  deleteFile,
+  renameFile,
+  UnsafePathError,
+  cleanupTempFiles,
+  runScript,
   runEvalScript,
+  executeEvalScript,
   extractEvalScript,
   hasEvalScript
 };
\ No newline at end of file
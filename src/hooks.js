@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_FILE, loadProjectConfig } = require('./config.js');
+const { globToRegExp } = require('./path-rules.js');
+const { runScript } = require('./file-processor.js');
+
+// Commands run on every file a step writes, per glob: syntax checks whose
+// failures go back to the model even when its eval script never looked, and
+// formatters. Nothing runs unless .berrry.json asks for it: "hooks" adds
+// globs, and "defaultHooks": true turns on the checks below, which don't
+// understand every project (JSX, ESM on older Node). A project glob replaces
+// the default with the same glob ([] turns it off):
+//   { "defaultHooks": true, "hooks": { "*.{js,ts}": ["npx prettier --write {file}"] } }
+// {file} is replaced by the quoted path, or the path is appended when absent.
+// Relative paths get a ./ prefix so a file named like an option stays a file.
+// Project hooks run first, so a formatter's output is what gets checked.
+// .berrry.json cannot be written by the agent, so the model can't add hooks.
+const DEFAULT_HOOKS = {
+  '*.{js,cjs,mjs}': ['node --check {file}'],
+  '*.py': ['python3 -m py_compile {file}']
+};
+
+const HOOK_TIMEOUT = 30000;
+const MAX_HOOK_OUTPUT = 2000;
+
+// py_compile would otherwise leave __pycache__ directories in the repository
+const HOOK_ENV = { ...process.env, PYTHONPYCACHEPREFIX: path.join(os.tmpdir(), 'berrry-pycache') };
+
+// Returns [{ glob, regex, commands }] in the order they run
+function loadHooks(root = process.cwd()) {
+  const config = loadProjectConfig(root);
+  const configured = config.hooks || {};
+  if (typeof configured !== 'object' || Array.isArray(configured)) {
+    throw new Error(`Invalid ${CONFIG_FILE}: "hooks" must map globs to commands`);
+  }
+  if (config.defaultHooks !== undefined && typeof config.defaultHooks !== 'boolean') {
+    throw new Error(`Invalid ${CONFIG_FILE}: "defaultHooks" must be true or false`);
+  }
+
+  const defaults = config.defaultHooks
+    ? Object.entries(DEFAULT_HOOKS).filter(([glob]) => !(glob in configured))
+    : [];
+  return [...Object.entries(configured), ...defaults].map(([glob, commands]) => {
+    const list = [].concat(commands || []);
+    if (list.some(command => typeof command !== 'string')) {
+      throw new Error(`Invalid ${CONFIG_FILE}: hooks for "${glob}" must be a command or a list of commands`);
+    }
+    return { glob, regex: globToRegExp(glob), commands: list };
+  });
+}
+
+const shellQuote = value => `'${value.replace(/'/g, `'\\''`)}'`;
+
+function hookCommand(command, filePath) {
+  const file = shellQuote(path.isAbsolute(filePath) ? filePath : `.${path.sep}${path.normalize(filePath)}`);
+  return command.includes('{file}') ? command.split('{file}').join(file) : `${command} ${file}`;
+}
+
+// Runs the matching hooks on each file that still exists. Resolves to one
+// message per failed hook, meant for the model. Commands that aren't
+// installed are logged and skipped rather than blamed on the model.
+async function runHooks(filePaths, hooks, options = {}) {
+  const { logOutput = true, signal = null, timeout = HOOK_TIMEOUT } = options;
+  const failures = [];
+  const missing = new Set();
+
+  for (const filePath of filePaths) {
+    const relative = path.normalize(filePath).split(path.sep).join('/');
+    const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+    if (!stat || !stat.isFile()) continue;
+
+    for (const hook of hooks.filter(h => h.regex.test(relative))) {
+      for (const command of hook.commands) {
+        if (missing.has(command)) continue;
+        const line = hookCommand(command, filePath);
+        const { code, stdout, stderr, stopped } = await runScript(line, { timeout, signal, shell: true, env: HOOK_ENV });
+        if (stopped === 'cancelled') return failures;
+
+        if (code === 127) {
+          missing.add(command);
+          if (logOutput) console.log(`⚠️ Hook command not found, skipping: ${command}`);
+          continue;
+        }
+        if (code === 0 && !stopped) continue;
+
+        let output = `${stderr}${stdout}`.trim();
+        if (output.length > MAX_HOOK_OUTPUT) output = `${output.slice(0, MAX_HOOK_OUTPUT)}\n...[truncated]`;
+        const outcome = stopped === 'timeout' ? `timed out after ${timeout / 1000}s` : `exit ${code}`;
+        failures.push(`HOOK ${filePath}: \`${line}\` failed (${outcome})${output ? `:\n${output}` : ''}`);
+        if (logOutput) console.error(`❌ Hook failed for ${filePath}: ${line}`);
+      }
+    }
+  }
+
+  return failures;
+}
+
+module.exports = {
+  DEFAULT_HOOKS,
+  loadHooks,
+  runHooks
+};
@@ -1,51 +1,253 @@
+const { withRetry, parseRetryAfter } = require('./retry.js');
+const { UsageTracker, loadPriceOverrides } = require('./usage.js');
+const { LLMAPIError, CancelledError, contentText, thinkingText } = require('./providers/common.js');
+const { getProvider, resolveProvider, resolveApiKey } = require('./providers/index.js');
+const { CassetteRecorder, CassettePlayer } = require('./cassette.js');
+const { estimateTokens } = require('./tokens.js');
+
+// Reads a Server-Sent Events body and yields { event, data } for each message.
+// Comment lines (": keep-alive") are skipped; multi-line data fields are joined.
+async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseEvent = (raw) => {
+    let event = 'message';
+    const data = [];
+    for (const line of raw.split(/\r?\n/)) {
+      if (!line || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      if (field === 'data') data.push(value);
+    }
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      const parsed = parseEvent(raw);
+      if (parsed) yield parsed;
+    }
+  }
+
+  buffer += decoder.decode();
+  const parsed = parseEvent(buffer);
+  if (parsed) yield parsed;
+}
+
+// Stop reasons meaning the output token limit cut the response short
+const TRUNCATED_STOP_REASONS = ['max_tokens', 'length'];
+
+const CONTINUE_PROMPT = 'Your previous response was cut off by the output token limit. ' +
+  'Continue exactly where it stopped: do not repeat anything already written and do not restart ' +
+  'the current file. Your output is appended directly to the previous response.';
+
+// MODEL may list several models, cheapest first: "haiku,sonnet"
+function parseModelList(value) {
+  return (value || '').split(',').map(model => model.trim()).filter(Boolean);
+}
+
+// API_HEADERS adds headers to every request, e.g. for an on-prem gateway
+function parseHeaders(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid API_HEADERS: ${error.message}`);
+  }
+}
+
 class LLMClient {
   constructor(options = {}) {
     this.options = {
       verbose: false,
+      stream: process.env.STREAM !== 'false',
+      promptCaching: process.env.PROMPT_CACHING !== 'false',
+      maxRetries: parseInt(process.env.MAX_RETRIES) >= 0 ? parseInt(process.env.MAX_RETRIES) : 3,
+      retryBaseDelay: parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000,
+      retryMaxDelay: parseInt(process.env.RETRY_MAX_DELAY_MS) || 60000,
+      maxContinuations: parseInt(process.env.MAX_CONTINUATIONS) >= 0 ? parseInt(process.env.MAX_CONTINUATIONS) : 3,
+      thinkingBudget: parseInt(process.env.THINKING_BUDGET) || null,
+      requestTimeout: parseInt(process.env.REQUEST_TIMEOUT_MS) || 600000,
       ...options
     };
     
-    this.apiKey = process.env.ANTHROPIC_API_KEY || process.env.OPENROUTER_API_KEY;
-    this.model = process.env.MODEL || 'anthropic/claude-sonnet-4';
-    this.commitModel = process.env.COMMIT_MODEL || 'anthropic/claude-3.5-haiku';
+    const replayPath = this.options.replay || process.env.BERRRY_REPLAY;
+    const recordPath = this.options.record || process.env.BERRRY_RECORD;
+    this.player = replayPath
+      ? new CassettePlayer(replayPath, { match: process.env.BERRRY_REPLAY_MATCH || 'auto' })
+      : null;
+
+    // options.provider may be a registered name or an adapter object. Replays
+    // reuse the recorded provider's defaults and need no key or network.
+    this.provider = typeof options.provider === 'object'
+      ? options.provider
+      : options.provider ? getProvider(options.provider)
+      : this.player ? this.replayProvider()
+      : resolveProvider();
+    this.apiKey = resolveApiKey(this.provider);
+    // this.model is the active entry of the chain; later entries are failover
+    // targets and escalation steps (see escalateModel)
+    this.models = parseModelList(process.env.MODEL);
+    if (this.models.length === 0 && this.provider.defaultModel) this.models = [this.provider.defaultModel];
+    this.modelIndex = 0;
+    this.model = this.models[0];
+    this.commitModel = process.env.COMMIT_MODEL || this.provider.defaultCommitModel || this.model;
     this.maxTokens = parseInt(process.env.MAX_TOKENS) || 64000;
-    this.apiUrl = process.env.API_URL || 'https://openrouter.ai/api/v1/chat/completions';
+    this.apiUrl = process.env.API_URL || this.provider.defaultUrl;
+    this.extraHeaders = parseHeaders(process.env.API_HEADERS);
     
-    if (!this.apiKey) {
-      throw new Error('API key required. Set ANTHROPIC_API_KEY or OPENROUTER_API_KEY environment variable.');
+    if (this.provider.requiresApiKey && !this.apiKey && !this.player) {
+      const names = [...(this.provider.apiKeyEnv || []), 'API_KEY'];
+      throw new Error(`API key required. Set ${names.join(' or ')} environment variable.`);
     }
-
-    // Use Anthropic API if we have that key
-    if (process.env.ANTHROPIC_API_KEY) {
-      this.apiUrl = 'https://api.anthropic.com/v1/messages';
-      this.isAnthropic = true;
+    if (!this.model) {
+      throw new Error(`MODEL is required for the ${this.provider.label} provider.`);
+    }
+    if (!this.apiUrl) {
+      throw new Error(`API_URL is required for the ${this.provider.label} provider.`);
+    }
+    if (!this.provider.createStreamReader) {
+      this.options.stream = false;
+    }
+    if (this.options.thinkingBudget) {
+      if (!this.provider.supportsThinking) {
+        console.log(`⚠️ Extended thinking is not supported by the ${this.provider.label} provider - ignoring the thinking budget`);
+        this.options.thinkingBudget = null;
+      } else if (this.options.thinkingBudget < 1024) {
+        throw new Error('The thinking budget must be at least 1024 tokens.');
+      } else if (this.options.thinkingBudget >= this.maxTokens) {
+        throw new Error(`The thinking budget (${this.options.thinkingBudget}) must be below MAX_TOKENS (${this.maxTokens}).`);
+      }
     }
 
     if (this.options.verbose) {
       console.log('🔧 LLM Client configured:');
-      console.log(`  - Model: ${this.model}`);
+      console.log(`  - Model: ${this.models.join(' → ')}`);
       console.log(`  - Commit Model: ${this.commitModel}`);
       console.log(`  - Max Tokens: ${this.maxTokens}`);
       console.log(`  - API URL: ${this.apiUrl}`);
-      console.log(`  - Provider: ${this.isAnthropic ? 'Anthropic' : 'OpenRouter'}`);
+      console.log(`  - Provider: ${this.provider.label}${this.apiKey ? '' : ' (no API key)'}`);
+      console.log(`  - Streaming: ${this.options.stream ? 'on' : 'off'}`);
+      console.log(`  - Max Retries: ${this.options.maxRetries}`);
+      console.log(`  - Request Timeout: ${this.options.requestTimeout / 1000}s`);
+      console.log(`  - Max Continuations: ${this.options.maxContinuations}`);
+      console.log(`  - Prompt Caching: ${this.options.promptCaching ? 'on' : 'off'}`);
+      console.log(`  - Thinking Budget: ${this.options.thinkingBudget || 'off'}`);
     }
+
+    this.usage = new UsageTracker({
+      prices: loadPriceOverrides(),
+      maxCost: this.options.maxCost ?? null,
+      maxTokensTotal: this.options.maxTokensTotal ?? null
+    });
+
+    this.recorder = recordPath
+      ? new CassetteRecorder(recordPath, { provider: this.provider.name })
+      : null;
+
+    if (this.player) console.log(`📼 Replaying LLM responses from ${replayPath}`);
+    if (this.recorder) console.log(`📼 Recording LLM calls to ${recordPath}`);
   }
 
-  async generateResponse(prompt, options = {}) {
-    const model = options.useCommitModel ? this.commitModel : this.model;
+  replayProvider() {
+    try {
+      return getProvider(this.player.provider || 'anthropic');
+    } catch (error) {
+      // e.g. a cassette recorded with a custom adapter that is not loaded now
+      return getProvider('anthropic');
+    }
+  }
+
+  // `input` is either a single prompt string or a messages array, oldest first:
+  //   { role: 'user', content }
+  //   { role: 'assistant', content, toolCalls?: [{ id, name, input }], thinking? }
+  //   { role: 'tool', toolCallId, content, isError? }
+  // options.system sets a system prompt, options.tools lists
+  // { name, description, parameters } tool definitions.
+  // A response cut off by the output token limit is continued with follow-up
+  // requests (up to maxContinuations) and stitched together; options.onContinue
+  // (text, round, maxRounds) is called before each one. With a thinking budget,
+  // thinking arrives through options.onThinking and in `thinking`, never in `text`.
+  // options.signal (an AbortSignal) cancels the request, retries and fallbacks.
+  // When a call still fails after retries, the next models in the MODEL chain
+  // are tried in turn; `model` in the result is the one that answered.
+  // Resolves to { text, toolCalls, thinking, stopReason, model, continuations, truncated }.
+  async generate(input, options = {}) {
+    const chain = options.useCommitModel ? [this.commitModel] : this.models.slice(this.modelIndex);
+    const messages = typeof input === 'string'
+      ? [{ role: 'user', content: input }]
+      : input;
     
     if (this.options.verbose) {
-      console.log(`\n🤖 Making LLM request to ${model}...`);
-      console.log(`📊 Prompt length: ${prompt.length} characters`);
+      const prompt = messages.map(m => contentText(m.content || '')).join('');
+      console.log(`\n🤖 Making LLM request to ${chain[0]}...`);
+      console.log(`📊 Prompt length: ${prompt.length} characters (~${estimateTokens(prompt)} tokens) in ${messages.length} message(s)`);
     }
 
+    // The budget limits stepping; the commit message for the work done so far
+    // is still written once it runs out
+    if (!options.useCommitModel) this.usage.checkBudget();
+
+    for (let i = 0; ; i++) {
+      try {
+        return await this.generateWith(chain[i], messages, options);
+      } catch (error) {
+        // Cancellation, budget stops and half-streamed answers are not worth another model
+        const next = chain[i + 1];
+        if (!next || error.partialOutput || ['BudgetExceededError', 'CancelledError'].includes(error.name)) throw error;
+        console.log(`🔀 ${chain[i]} failed (${error.message}) - falling back to ${next}`);
+      }
+    }
+  }
+
+  async generateWith(model, messages, options = {}) {
     try {
-      if (this.isAnthropic) {
-        return await this.callAnthropicAPI(prompt, model);
-      } else {
-        return await this.callOpenRouterAPI(prompt, model);
+      let result = await this.requestWithRetry(messages, model, options);
+      let text = result.text;
+      let thinking = result.thinking;
+      let continuations = 0;
+
+      // Tool calls cannot be resumed mid-JSON, so only plain text is continued
+      while (this.isTruncated(result) && result.toolCalls.length === 0 && text) {
+        const maxRounds = this.options.maxContinuations;
+        if (continuations >= maxRounds || this.usage.budgetExceeded()) break;
+
+        continuations++;
+        if (options.onContinue) {
+          options.onContinue(text, continuations, maxRounds);
+        } else {
+          console.log(`✂️ Response hit the output token limit - requesting continuation ${continuations}/${maxRounds}`);
+        }
+
+        const followUp = [
+          ...messages,
+          { role: 'assistant', content: text },
+          { role: 'user', content: CONTINUE_PROMPT }
+        ];
+        result = await this.requestWithRetry(followUp, model, options);
+        text += result.text;
+        thinking = [...thinking, ...result.thinking];
       }
+
+      return {
+        text,
+        toolCalls: result.toolCalls,
+        thinking,
+        stopReason: result.stopReason,
+        model,
+        continuations,
+        truncated: this.isTruncated(result)
+      };
     } catch (error) {
+      if (error.name === 'CancelledError') throw error;
       console.error('❌ LLM API call failed:', error.message);
       if (this.options.verbose) {
         console.error('Full error:', error);
@@ -54,89 +256,197 @@ class LLMClient {
     }
   }
 
-  async callAnthropicAPI(prompt, model) {
-    const response = await fetch(this.apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: model.replace('anthropic/', ''),
-        max_tokens: this.maxTokens,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+  // Moves on to the next model in the MODEL chain for all later requests.
+  // Returns the new model, or null when already on the last one.
+  escalateModel() {
+    if (this.modelIndex >= this.models.length - 1) return null;
+    this.model = this.models[++this.modelIndex];
+    return this.model;
+  }
+
+  isTruncated(result) {
+    return TRUNCATED_STOP_REASONS.includes(result.stopReason);
+  }
+
+  async requestWithRetry(messages, model, options = {}) {
+    // Once streamed text has been handed to the caller a retry would duplicate it
+    let streamed = false;
+    const callOptions = {
+      ...options,
+      onText: options.onText && ((chunk) => {
+        streamed = true;
+        options.onText(chunk);
+      }),
+      onThinking: options.onThinking && ((chunk) => {
+        streamed = true;
+        options.onThinking(chunk);
       })
-    });
+    };
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      if (this.options.verbose) {
-        console.error('API Error Response:', errorText);
+    return await withRetry(async () => {
+      try {
+        return await this.callProvider(messages, model, callOptions);
+      } catch (error) {
+        if (streamed) {
+          error.retryable = false;
+          error.partialOutput = true;
+        }
+        throw error;
       }
-      throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    
-    if (this.options.verbose) {
-      console.log('✅ LLM response received');
-      console.log(`📊 Response length: ${data.content[0].text.length} characters`);
-      if (data.usage) {
-        console.log(`🔢 Token usage: ${data.usage.input_tokens} input, ${data.usage.output_tokens} output`);
+    }, {
+      maxRetries: this.options.maxRetries,
+      baseDelay: this.options.retryBaseDelay,
+      maxDelay: this.options.retryMaxDelay,
+      signal: options.signal,
+      onRetry: (error, attempt, delay) => {
+        console.log(`⏳ ${error.message} - retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${this.options.maxRetries})`);
       }
+    });
+  }
+
+  async generateResponse(input, options = {}) {
+    const result = await this.generate(input, options);
+    return result.text;
+  }
+
+  async callProvider(messages, model, options = {}) {
+    const request = { model, system: options.system || null, tools: options.tools || null, messages };
+
+    let result;
+    if (this.player) {
+      result = this.player.next(request);
+      const thinking = thinkingText(result.thinking);
+      if (options.onThinking && thinking) options.onThinking(thinking);
+      if (options.onText && result.text) options.onText(result.text);
+    } else {
+      result = await this.fetchCompletion(messages, model, options);
     }
-    
-    return data.content[0].text;
+
+    if (this.recorder) this.recorder.record(request, result);
+    this.recordResponse(result.text, result.usage, model);
+    return {
+      text: result.text,
+      toolCalls: result.toolCalls || [],
+      thinking: result.thinking || [],
+      stopReason: result.stopReason || null
+    };
   }
 
-  async callOpenRouterAPI(prompt, model) {
-    const response = await fetch(this.apiUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://github.com/Strawberry-Computer/berrry-committer',
-        'X-Title': 'Berrry Committer'
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.maxTokens,
-        temperature: 0.1
-      })
+  async fetchCompletion(messages, model, options = {}) {
+    const { headers, body } = this.provider.buildRequest({
+      apiKey: this.apiKey,
+      model,
+      messages: this.withConversationBreakpoint(messages),
+      system: options.system,
+      tools: options.tools,
+      maxTokens: this.maxTokens,
+      stream: this.options.stream,
+      promptCaching: this.options.promptCaching,
+      // Commit messages are too small to be worth thinking about
+      thinkingBudget: options.useCommitModel ? null : this.options.thinkingBudget
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      if (this.options.verbose) {
-        console.error('API Error Response:', errorText);
+    // Aborts when the caller cancels, or once requestTimeout passes without any
+    // data: for the whole request, or between chunks when streaming
+    const signal = options.signal;
+    if (signal && signal.aborted) throw signal.reason;
+    const controller = new AbortController();
+    const timeout = this.options.requestTimeout;
+    let timer;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(new LLMAPIError(
+        `${this.provider.label} API request timed out after ${timeout / 1000}s without data`, { retryable: true })), timeout);
+    };
+    const onAbort = () => controller.abort(signal.reason || new CancelledError());
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    resetTimer();
+
+    try {
+      const response = await fetch(this.apiUrl, {
+        method: 'POST',
+        headers: { ...headers, ...this.extraHeaders },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        if (this.options.verbose) {
+          console.error('API Error Response:', errorText);
+        }
+        throw new LLMAPIError(`${this.provider.label} API error: ${response.status} ${response.statusText}`, {
+          status: response.status,
+          retryAfter: parseRetryAfter(response.headers)
+        });
+      }
+
+      if (!this.options.stream) {
+        return this.provider.parseResponse(await response.json());
       }
-      throw new Error(`OpenRouter API error: ${response.status} ${response.statusText}`);
+
+      const reader = this.provider.createStreamReader(options.onText, options.onThinking);
+      const chunks = (async function* () {
+        for await (const chunk of response.body) {
+          resetTimer();
+          yield chunk;
+        }
+      })();
+      for await (const { data } of readSSE(chunks)) {
+        if (reader.handle(data) === false) break;
+      }
+      if (this.options.verbose) console.log();
+      return reader.finish();
+    } catch (error) {
+      // fetch only reports a generic AbortError; surface why we aborted
+      if (controller.signal.aborted) throw controller.signal.reason;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Adds a breakpoint on the latest message so each step also reads the
+  // previous steps' turns from cache, not only the stable first turn.
+  withConversationBreakpoint(messages) {
+    if (!this.options.promptCaching || messages.length < 2) return messages;
+
+    const last = messages[messages.length - 1];
+    const blocks = typeof last.content === 'string'
+      ? [{ type: 'text', text: last.content }]
+      : last.content;
+    const marked = blocks.map((block, index) => index === blocks.length - 1 ? { ...block, cache: true } : block);
+
+    return [...messages.slice(0, -1), { ...last, content: marked }];
+  }
+
+  recordResponse(text, usage, model) {
+    const cost = this.usage.record(model, usage);
+
+    // Without usage the cost and token limits can never trigger
+    const { maxCost, maxTokensTotal } = this.usage.options;
+    if (!usage && (maxCost !== null || maxTokensTotal !== null) && !this.warnedMissingUsage) {
+      this.warnedMissingUsage = true;
+      console.log(`⚠️ ${model} returned no token usage - --max-cost / --max-tokens-total cannot be enforced for its responses`);
     }
 
-    const data = await response.json();
-    
     if (this.options.verbose) {
       console.log('✅ LLM response received');
-      console.log(`📊 Response length: ${data.choices[0].message.content.length} characters`);
-      if (data.usage) {
-        console.log(`🔢 Token usage: ${data.usage.prompt_tokens} input, ${data.usage.completion_tokens} output`);
+      console.log(`📊 Response length: ${text.length} characters`);
+      if (usage) {
+        console.log(`🔢 Token usage: ${usage.inputTokens} input, ${usage.outputTokens} output`);
+        if (usage.cacheReadTokens || usage.cacheWriteTokens) {
+          console.log(`💾 Prompt cache: ${usage.cacheReadTokens} read, ${usage.cacheWriteTokens} written`);
+        }
+        if (cost !== null) {
+          console.log(`💵 Cost: $${cost.toFixed(4)} (run total ${this.usage.formatCost()})`);
+        }
       }
     }
-    
-    return data.choices[0].message.content;
+
+    return usage;
   }
 }
 
-module.exports = { LLMClient };
\ No newline at end of file
+module.exports = { LLMClient, LLMAPIError, CancelledError, readSSE, contentText, thinkingText };
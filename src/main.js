@@ -1,11 +1,30 @@
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-const { LLMClient } = require('./llm-client.js');
+const { execSync, execFileSync } = require('child_process');
+const { LLMClient, CancelledError, contentText, thinkingText } = require('./llm-client.js');
 const { getIssueContext, getRepoContext } = require('./context-generator.js');
-const { parseAndWriteFiles, runEvalScript } = require('./file-processor.js');
-
-const SYSTEM_PROMPT = "You are a professional software developer. Help with this request:";
+const { parseAndWriteFiles, runEvalScript, createFileStreamParser, findUnterminatedFile, cleanupTempFiles } = require('./file-processor.js');
+const { Conversation } = require('./conversation.js');
+const { TOOL_DEFINITIONS, executeToolCall, formatEvalResult } = require('./tools.js');
+const { Transcript } = require('./transcript.js');
+const { estimateTokens, getContextWindow } = require('./tokens.js');
+const { SnapshotStore } = require('./snapshot.js');
+const { loadHooks, runHooks } = require('./hooks.js');
+const { FileOverlay } = require('./overlay.js');
+const { formatFileDiff, shouldColor, colorizeDiff } = require('./diff.js');
+const { parseBudgetLimit } = require('./usage.js');
+const {
+  CONVENTIONAL_FORMAT,
+  parseCommitJSON,
+  normalizeConventionalCommit,
+  validateConventionalCommit,
+  renderConventionalCommit
+} = require('./commit-message.js');
+
+// Share of the context window kept free for later steps' turns
+const HISTORY_SHARE = 0.25;
+
+const SYSTEM_PROMPT = "You are a professional software developer. Help with the request in the user message.";
 
 const INSTRUCTIONS = `Analyze the request and repository structure. 
 
@@ -31,7 +50,36 @@ Generate complete file contents using this EXACT format:
 [complete eval script here]
 === END: eval.sh ===
 
-For deleted files just include empty file.
+For small changes to large existing files, use SEARCH/REPLACE edits instead of
+rewriting the whole file. SEARCH must copy the current lines exactly and match
+only one place; use several hunks for several changes:
+
+=== EDIT: path/to/file.ext ===
+<<<<<<< SEARCH
+[exact lines currently in the file]
+=======
+[lines to replace them with]
+>>>>>>> REPLACE
+=== END: path/to/file.ext ===
+
+You may also send changes as a unified diff (as produced by git diff) in a
+\`\`\`diff fence; new, deleted and renamed files in the diff headers are applied too.
+
+To delete or move files, use these one-line directives (outside any block); they
+run before the files above are written:
+
+=== DELETE: path/to/obsolete.ext ===
+=== RENAME: path/to/old.ext -> path/to/new.ext ===
+
+Files are written exactly as given and keep their line endings and permissions;
+to make a new script executable, add (after its block):
+
+=== MODE: 755 path/to/script.sh ===
+
+If your previous step made things worse, start your response with
+=== ROLLBACK ===
+to restore every file to how it was before that step (repeat it to go back
+further); any files in the same response are applied afterwards.
 
 Include an evaluation script at the end
 
@@ -51,6 +99,16 @@ exit 1
 # In a later step, you can add more validation logic here instead of exiting 1
 </sample_eval_script>`;
 
+const TOOL_INSTRUCTIONS = `Analyze the request and repository structure, then complete it using the tools.
+
+- read_file: read a file before modifying it (files in the context are already current)
+- write_file: create or modify a file, always with its complete new contents
+- delete_file: remove a file
+- run_eval: run a bash script to validate your work. Exit 0 when the task is complete;
+  exit non-zero (after printing what you need, e.g. with cat or grep) to keep working.
+
+Work in small steps and call run_eval when you want feedback. Stop calling tools once the task is done.`;
+
 const formatTask = (input) => {
   if (!input) throw new Error("Input is required for formatTask");
   return input.number 
@@ -63,33 +121,86 @@ class AICoder {
     this.options = {
       verbose: false,
       yolo: process.env.YOLO === 'true',
+      historySteps: parseInt(process.env.MAX_HISTORY_STEPS) || 3,
+      maxCost: process.env.MAX_COST || null,
+      maxTokensTotal: process.env.MAX_TOKENS_TOTAL || null,
+      toolMode: process.env.TOOL_MODE === 'true',
+      maxToolRounds: parseInt(process.env.MAX_TOOL_ROUNDS) || 50,
+      escalateAfter: parseInt(process.env.ESCALATE_AFTER) || 2,
+      thinkingBudget: parseInt(process.env.THINKING_BUDGET) || null,
+      transcript: process.env.TRANSCRIPT || null,
+      commitStyle: process.env.COMMIT_STYLE || 'free',
+      dryRun: process.env.DRY_RUN === 'true',
       ...options
     };
+    this.options.maxCost = parseBudgetLimit(this.options.maxCost, '--max-cost / MAX_COST');
+    this.options.maxTokensTotal = parseBudgetLimit(this.options.maxTokensTotal, '--max-tokens-total / MAX_TOKENS_TOTAL', { integer: true });
     
-    this.llmClient = new LLMClient({ verbose: this.options.verbose });
+    this.llmClient = new LLMClient({
+      verbose: this.options.verbose,
+      maxCost: this.options.maxCost,
+      maxTokensTotal: this.options.maxTokensTotal,
+      thinkingBudget: this.options.thinkingBudget
+    });
+    this.transcript = this.options.transcript ? new Transcript(this.options.transcript) : null;
     this.maxSteps = 5;
     this.currentStep = 1;
+    // model -> steps it answered, for the summary and the Model trailer
+    this.stepModels = new Map();
+    // Files written or deleted so far, listed (and revertible) on interrupt
+    this.changedFiles = new Set();
+    // A dry run changes this in-memory overlay instead of the working tree
+    this.overlay = this.options.dryRun ? new FileOverlay() : null;
+    // Each step's file changes, for ROLLBACK and berrry --rollback (in a dry
+    // run the overlay keeps them, leaving the real snapshots alone)
+    this.snapshots = this.overlay || new SnapshotStore();
+    this.abortController = new AbortController();
     
     if (this.options.verbose) {
       console.log('🔍 Verbose mode enabled');
     }
+    if (this.transcript) {
+      console.log(`📜 Writing transcript to ${this.options.transcript}`);
+    }
+    if (this.overlay) {
+      console.log('🔍 Dry run: changes stay in memory, evals run on a scratch copy and nothing is committed');
+    }
   }
 
   async run() {
     try {
       // 1. Get input (either direct prompt or GitHub event)
       this.input = await this.getInput();
+      this.snapshots.reset();
+      // Hooks run on files on disk, which a dry run never writes
+      this.hooks = this.overlay ? [] : loadHooks();
       
       // 2. Generate context
       this.context = await this.generateContext(this.input);
       
-      // 3. Build unified prompt
-      const systemPrompt = this.buildPrompt(this.input, this.context);
+      // 3. Build the first user turn
+      const initialPrompt = this.buildPrompt(this.input, this.context);
       
       // 4. Process with LLM
-      await this.processLLMResponse(systemPrompt);
+      if (this.options.toolMode) {
+        await this.processToolCalls(initialPrompt);
+      } else {
+        await this.processLLMResponse(initialPrompt);
+      }
+
+      // 5. Commit whatever was produced, or show it in a dry run
+      if (this.overlay) {
+        this.printDryRunDiff();
+      } else {
+        await this.createCommit();
+      }
+      this.printSummary();
       
     } catch (error) {
+      if (error.name === 'CancelledError') {
+        await this.handleInterrupt();
+        throw error;
+      }
       console.error('❌ Error during execution:', error.message);
       if (this.options.verbose) {
         console.error('Stack trace:', error.stack);
@@ -98,6 +209,85 @@ class AICoder {
     }
   }
 
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  // Called from the SIGINT/SIGTERM handler: aborts the in-flight LLM request
+  // or eval script, and run() then hands over to handleInterrupt
+  cancel(reason = 'cancel') {
+    this.abortController.abort(new CancelledError(`Cancelled by ${reason}`));
+  }
+
+  // Writes are atomic, so nothing is half-written; drop temp files, list what
+  // the run changed and let the user commit, discard or keep it
+  async handleInterrupt() {
+    await cleanupTempFiles();
+
+    if (this.overlay) {
+      console.log('🛑 Cancelled - dry run, nothing was written');
+      this.printDryRunDiff();
+      return;
+    }
+
+    const files = [...this.changedFiles];
+    if (files.length === 0) {
+      console.log('🛑 Cancelled - no files were changed');
+      return;
+    }
+
+    console.log(`🛑 Cancelled after changing ${files.length} file(s):`);
+    files.forEach(file => console.log(`  - ${file}`));
+
+    const action = await this.askInterruptAction();
+    if (action === 'commit') {
+      await this.createCommit();
+    } else if (action === 'discard') {
+      this.discardChanges(files);
+    } else {
+      console.log('📂 Leaving the partial work in the working tree');
+    }
+  }
+
+  async askInterruptAction() {
+    if (this.options.yolo || !process.stdin.isTTY) return 'keep';
+
+    const readline = require('readline').createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    const answer = await new Promise(resolve => {
+      readline.question('💾 Commit, discard or keep the partial work? (c/d/K): ', resolve);
+      readline.on('SIGINT', () => resolve(''));
+    });
+    readline.close();
+
+    const choice = answer.trim().toLowerCase();
+    if (choice === 'c' || choice === 'commit') return 'commit';
+    if (choice === 'd' || choice === 'discard') return 'discard';
+    return 'keep';
+  }
+
+  // Restores files tracked in HEAD and removes the ones this run created
+  discardChanges(files) {
+    try {
+      execSync('git rev-parse --git-dir', { stdio: 'ignore' });
+    } catch (error) {
+      console.log('⚠️ Not a git repository - cannot restore files, leaving them as they are');
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        execFileSync('git', ['cat-file', '-e', `HEAD:./${file}`], { stdio: 'ignore' });
+        execFileSync('git', ['checkout', 'HEAD', '--', file], { stdio: 'ignore' });
+      } catch (error) {
+        fs.rmSync(file, { force: true });
+      }
+    }
+    console.log(`🗑️ Discarded changes to ${files.length} file(s)`);
+  }
+
   async getInput() {
     if (this.options.prompt) {
       console.log('🚀 Running in direct prompt mode');
@@ -116,65 +306,248 @@ class AICoder {
   }
 
   async generateContext(input) {
-    return await getRepoContext({ 
+    const budget = this.contextBudget(input);
+    const report = {};
+    const context = await getRepoContext({ 
       maxFiles: 50,
-      includeGitFiles: true 
+      includeGitFiles: true,
+      tokenBudget: budget.context,
+      report
     });
+
+    if (this.options.verbose) {
+      console.log(`📏 Context: ~${report.tokens} of ${budget.context} budgeted tokens ` +
+        `(window ${budget.window}, ${budget.output} reserved for output, ${budget.history} for later steps)`);
+      for (const entry of report.trimmed) {
+        console.log(entry.action === 'dropped'
+          ? `  ✂️ Dropped ${entry.name} (~${entry.from} tokens)`
+          : `  ✂️ Truncated ${entry.name} (~${entry.from} → ~${entry.to} tokens)`);
+      }
+    }
+
+    return context;
+  }
+
+  // Token budget for the repo context: the smallest window in the MODEL chain
+  // minus room for the answer, later steps and the fixed parts of the prompt
+  contextBudget(input) {
+    const window = Math.min(...this.llmClient.models.map(model => getContextWindow(model)));
+    const output = Math.min(this.llmClient.maxTokens, Math.floor(window / 2));
+    const history = Math.floor(window * HISTORY_SHARE);
+    const fixed = estimateTokens(SYSTEM_PROMPT + (this.options.toolMode ? TOOL_INSTRUCTIONS : INSTRUCTIONS) + formatTask(input));
+
+    return { window, output, history, context: Math.max(0, window - output - history - fixed) };
   }
 
+  // The instructions/context block is identical for every step (and every
+  // task on the same repo), so it goes first and carries the cache breakpoint.
   buildPrompt(input, context) {
-    return `${SYSTEM_PROMPT}
+    return [
+      {
+        type: 'text',
+        text: `<instructions>
+${this.options.toolMode ? TOOL_INSTRUCTIONS : INSTRUCTIONS}
+</instructions>
 
-<task>
+<context>
+${context}
+</context>`,
+        cache: true
+      },
+      {
+        type: 'text',
+        text: `<task>
 ${formatTask(input)}
 </task>
 
-<instructions>
-${INSTRUCTIONS}
-</instructions>
-
 <step>
 ${this.currentStep}/${this.maxSteps}
 </step>
 
-<context>
-${context}
-</context>
+Make meaningful progress toward completing the task.`
+      }
+    ];
+  }
+
+  // File operation errors first (they explain a failing eval), then block
+  // warnings, which don't keep a passing eval from finishing, then the eval
+  formatStepResult(report, evalResult) {
+    const sections = [];
+    if (report.rolledBack.length > 0) {
+      sections.push(`<rollback>\n${report.rolledBack.join('\n')}\n</rollback>`);
+    }
+    if (report.errors.length > 0) {
+      sections.push(`<file_errors>\n${report.errors.join('\n\n')}\n</file_errors>`);
+      if (evalResult.success) {
+        sections.push('The eval script passed, but the file errors above must be fixed.');
+      }
+    }
+    if (report.warnings.length > 0) {
+      sections.push(`<block_warnings>\n${report.warnings.join('\n\n')}\n</block_warnings>`);
+    }
+    sections.push(formatEvalResult(evalResult));
+    return sections.filter(Boolean).join('\n\n');
+  }
+
+  buildFeedback(evalResultText) {
+    return `<step>
+${this.currentStep}/${this.maxSteps}
+</step>
 
-Make meaningful progress toward completing the task.`;
+<eval_result>
+${evalResultText}
+</eval_result>
+
+Continue making progress toward completing the task.`;
   }
 
-  async processLLMResponse(systemPrompt) {
+  async processLLMResponse(initialPrompt) {
+    this.conversation = new Conversation({ keepRecentSteps: this.options.historySteps });
+    this.conversation.addUser(initialPrompt);
+    let failedEvals = 0;
+
     while (this.currentStep <= this.maxSteps) {
-      console.log(`\n🔄 Step ${this.currentStep}/${this.maxSteps}`);
-      
-      if (this.options.verbose) {
-        console.log('\n📤 LLM Input:');
-        console.log('=' .repeat(80));
-        console.log(systemPrompt);
-        console.log('=' .repeat(80));
+      const budgetReason = this.llmClient.usage.budgetExceeded();
+      if (budgetReason) {
+        console.log(`💸 Budget exhausted (${budgetReason}). Creating commit with current progress.`);
+        break;
       }
 
-      const response = await this.llmClient.generateResponse(systemPrompt);
+      console.log(`\n🔄 Step ${this.currentStep}/${this.maxSteps} (model: ${this.llmClient.model})`);
       
       if (this.options.verbose) {
-        console.log('\n📥 LLM Output:');
+        const latest = this.conversation.messages[this.conversation.messages.length - 1];
+        console.log('\n📤 LLM Input:');
         console.log('=' .repeat(80));
-        console.log(response);
+        console.log(contentText(latest.content));
         console.log('=' .repeat(80));
       }
 
+      const { text: response, model } = await this.requestCompletion(this.conversation.toMessages());
+      this.conversation.addAssistant(response);
+      this.recordStepModel(model);
+
       // Process files from response
+      const report = {};
+      this.snapshots.beginStep(this.currentStep);
       const writtenFiles = await parseAndWriteFiles(response, { 
-        logOutput: true 
+        logOutput: true,
+        report,
+        snapshots: this.snapshots,
+        overlay: this.overlay
       });
+      writtenFiles.forEach(file => this.changedFiles.add(file));
 
-      // Extract and run evaluation script
-      const evalResult = await runEvalScript(response, { 
+      // Syntax checks and formatters from the project's hooks
+      report.errors.push(...await runHooks(writtenFiles, this.hooks, { signal: this.signal }));
+      this.signal.throwIfAborted();
+
+      // Extract and run evaluation script (on a scratch copy in a dry run)
+      const evalResult = await runEvalScript(response, {
         safeMode: !this.options.yolo,
         yolo: this.options.yolo,
-        logOutput: true
+        logOutput: true,
+        signal: this.signal,
+        overlay: this.overlay
       });
+      this.signal.throwIfAborted();
+      if (this.transcript && !evalResult.skipped) {
+        this.transcript.section(`Step ${this.currentStep} - eval`, formatEvalResult(evalResult));
+      }
+
+      // Failed edits go back to the model even when the eval passed
+      if (report.errors.length > 0) {
+        console.log(`⚠️ ${report.errors.length} file operation(s) or hook(s) failed - sending the errors back`);
+      } else if (evalResult.skipped) {
+        console.log('⏸️ Eval skipped - assuming ready for PR');
+        break;
+      } else if (evalResult.success) {
+        console.log('✅ Evaluation passed! Ready for PR.');
+        break;
+      }
+
+      this.currentStep++;
+      if (this.currentStep > this.maxSteps) {
+        console.log('⚠️ Reached maximum steps. Creating PR with current progress.');
+        break;
+      }
+
+      failedEvals = this.escalateAfterFailure(failedEvals + 1);
+
+      // Send the eval outcome back as the next user turn
+      this.conversation.addUser(this.buildFeedback(this.formatStepResult(report, evalResult)));
+    }
+  }
+
+  // A cheap model that keeps failing hands over to the next one in MODEL.
+  // Takes the number of failed evals in a row and returns it, reset when the
+  // model was escalated.
+  escalateAfterFailure(failedEvals) {
+    if (failedEvals < this.options.escalateAfter) return failedEvals;
+    const stronger = this.llmClient.escalateModel();
+    if (!stronger) return failedEvals;
+    console.log(`⬆️ ${failedEvals} failed evals in a row - escalating to ${stronger}`);
+    return 0;
+  }
+
+  // Tool-use protocol: the model calls write_file/read_file/... directly and
+  // every result goes back as a tool result. A step ends with each run_eval.
+  async processToolCalls(initialPrompt) {
+    this.conversation = new Conversation({ keepRecentSteps: this.options.historySteps });
+    this.conversation.addUser(initialPrompt);
+    let rounds = 0;
+    let failedEvals = 0;
+
+    console.log(`\n🔄 Step ${this.currentStep}/${this.maxSteps} (model: ${this.llmClient.model})`);
+    this.snapshots.beginStep(this.currentStep);
+
+    while (this.currentStep <= this.maxSteps) {
+      const budgetReason = this.llmClient.usage.budgetExceeded();
+      if (budgetReason) {
+        console.log(`💸 Budget exhausted (${budgetReason}). Creating commit with current progress.`);
+        break;
+      }
+
+      if (++rounds > this.options.maxToolRounds) {
+        console.log(`⚠️ Reached ${this.options.maxToolRounds} tool rounds. Creating PR with current progress.`);
+        break;
+      }
+
+      const result = await this.requestCompletion(this.conversation.toMessages(), { tools: TOOL_DEFINITIONS });
+      this.conversation.addAssistant(result.text, result.toolCalls, result.thinking);
+      this.recordStepModel(result.model);
+
+      if (result.toolCalls.length === 0) {
+        console.log('✅ No further tool calls - assuming ready for PR');
+        break;
+      }
+
+      let evalResult = null;
+      for (const call of result.toolCalls) {
+        if (this.options.verbose) {
+          console.log(`🔧 Tool call: ${call.name} ${JSON.stringify(call.input).slice(0, 200)}`);
+        }
+        const outcome = await executeToolCall(call, {
+          safeMode: !this.options.yolo,
+          yolo: this.options.yolo,
+          logOutput: true,
+          signal: this.signal,
+          snapshots: this.snapshots,
+          overlay: this.overlay,
+          hooks: this.hooks
+        });
+        this.signal.throwIfAborted();
+        if (!outcome.isError && ['write_file', 'delete_file'].includes(call.name)) {
+          this.changedFiles.add(call.input.path);
+        }
+        this.conversation.addToolResult(call.id, outcome.content, outcome.isError);
+        if (this.transcript) {
+          this.transcript.section(`Step ${this.currentStep} - ${call.name} result${outcome.isError ? ' (error)' : ''}`, outcome.content);
+        }
+        if (outcome.evalResult) evalResult = outcome.evalResult;
+      }
+
+      if (!evalResult) continue;
 
       if (evalResult.skipped) {
         console.log('⏸️ Eval skipped - assuming ready for PR');
@@ -191,46 +564,148 @@ Make meaningful progress toward completing the task.`;
         console.log('⚠️ Reached maximum steps. Creating PR with current progress.');
         break;
       }
+      failedEvals = this.escalateAfterFailure(failedEvals + 1);
+      console.log(`\n🔄 Step ${this.currentStep}/${this.maxSteps} (model: ${this.llmClient.model})`);
+      this.snapshots.beginStep(this.currentStep);
+    }
+  }
 
-      // Update system prompt for next iteration
-      let evalResultText = evalResult.output;
-      if (evalResult.stdout) {
-        evalResultText += '\n\n<stdout>\n' + evalResult.stdout + '\n</stdout>';
+  // One model turn, streamed when enabled. Resolves to the LLMClient.generate result.
+  async requestCompletion(messages, options = {}) {
+    options = {
+      ...options,
+      signal: this.signal,
+      onContinue: (text, round, maxRounds) => {
+        const file = findUnterminatedFile(text);
+        console.log(`✂️ Output limit reached${file ? ` inside ${file}` : ''} - requesting continuation ${round}/${maxRounds}`);
       }
-      if (evalResult.stderr) {
-        evalResultText += '\n\n<stderr>\n' + evalResult.stderr + '\n</stderr>';
+    };
+
+    let result;
+    if (!this.llmClient.options.stream) {
+      result = await this.llmClient.generate(messages, { system: SYSTEM_PROMPT, ...options });
+      if (this.options.verbose && result.thinking.length > 0) {
+        console.log('\n💭 Thinking:');
+        console.log('-' .repeat(80));
+        console.log(thinkingText(result.thinking));
+        console.log('-' .repeat(80));
       }
-      
-      systemPrompt = `${SYSTEM_PROMPT}
+      if (this.options.verbose) {
+        console.log('\n📥 LLM Output:');
+        console.log('=' .repeat(80));
+        console.log(result.text);
+        console.log('=' .repeat(80));
+      }
+    } else {
+      result = await this.streamLLMResponse(messages, options);
+    }
 
-<task>
-${formatTask(this.input)}
-</task>
+    if (this.transcript) this.recordTranscript(messages, result);
 
-<instructions>
-${INSTRUCTIONS}
-</instructions>
+    if (result.truncated) {
+      const file = findUnterminatedFile(result.text);
+      console.log(`⚠️ Response still truncated after ${result.continuations} continuation(s)` +
+        (file ? `: ${file} was cut off and will not be written` : ''));
+    }
+    return result;
+  }
 
-<step>
-${this.currentStep}/${this.maxSteps}
-</step>
+  recordTranscript(messages, result) {
+    const step = `Step ${this.currentStep}`;
+    const latest = messages[messages.length - 1];
+    // Tool results are logged as they run; only user turns are new here
+    if (latest.role === 'user') {
+      this.transcript.section(`${step} - prompt`, contentText(latest.content));
+    }
+    this.transcript.section(`${step} - thinking (${result.model})`, thinkingText(result.thinking));
+    const toolCalls = result.toolCalls.map(call => `Tool call: ${call.name} ${JSON.stringify(call.input)}`);
+    this.transcript.section(`${step} - response (${result.model})`, [result.text, ...toolCalls].filter(Boolean).join('\n\n'));
+  }
 
-<context>
-${this.context}
-</context>
+  recordStepModel(model) {
+    const steps = this.stepModels.get(model) || new Set();
+    steps.add(this.currentStep);
+    this.stepModels.set(model, steps);
+  }
 
-<previous_response>
-${response}
-</previous_response>
+  // One "Model: <name> (step 1, 2)" trailer per model that answered a step
+  modelTrailers() {
+    return [...this.stepModels].map(([model, steps]) =>
+      `Model: ${model} (step ${[...steps].join(', ')})`);
+  }
 
-<eval_result>
-${evalResultText}
-</eval_result>
+  // Everything a dry run would have changed, as a unified diff
+  printDryRunDiff() {
+    const changes = this.overlay.changes();
+    if (changes.length === 0) {
+      console.log('\n🔍 Dry run: no files would change');
+      return;
+    }
 
-Continue making progress toward completing the task.`;
+    console.log(`\n🔍 Dry run: ${changes.length} file(s) would change (nothing was written or committed)\n`);
+    const diff = changes.map(formatFileDiff).join('\n');
+    console.log(shouldColor() ? colorizeDiff(diff) : diff);
+  }
+
+  printSummary() {
+    const usage = this.llmClient.usage;
+    const totals = usage.totals;
+    console.log('\n📊 Run summary:');
+    console.log(`  - Steps: ${Math.min(this.currentStep, this.maxSteps)}/${this.maxSteps}`);
+    for (const trailer of this.modelTrailers()) {
+      console.log(`  - ${trailer}`);
+    }
+    console.log(`  - LLM requests: ${totals.requests}`);
+    console.log(`  - Tokens: ${totals.inputTokens} input, ${totals.outputTokens} output`);
+    console.log(`  - Prompt cache: ${totals.cacheReadTokens} read, ${totals.cacheWriteTokens} written`);
+    console.log(`  - Cost: ${usage.formatCost()}`);
+    for (const [model, modelTotals] of Object.entries(usage.byModel)) {
+      console.log(`    • ${model}: ${modelTotals.requests} request(s), $${modelTotals.cost.toFixed(4)}`);
+    }
+    const budgetReason = usage.budgetExceeded();
+    if (budgetReason) {
+      console.log(`  - Budget: exhausted (${budgetReason})`);
     }
+  }
+
+  async streamLLMResponse(messages, options = {}) {
+    const fileParser = createFileStreamParser((file) => {
+      console.log(`📦 Received: ${file.path} (${file.edit ? 'edit, ' : ''}${file.content.length} chars)`);
+    });
 
-    await this.createCommit();
+    if (this.options.verbose) {
+      console.log('\n📥 LLM Output (streaming):');
+      console.log('=' .repeat(80));
+    }
+
+    // Thinking streams ahead of the answer; in verbose mode it gets its own
+    // section and is kept away from the file parser
+    let thinking = false;
+    try {
+      return await this.llmClient.generate(messages, {
+        system: SYSTEM_PROMPT,
+        ...options,
+        onThinking: (chunk) => {
+          if (!this.options.verbose) return;
+          if (!thinking) process.stdout.write('💭 Thinking:\n');
+          thinking = true;
+          process.stdout.write(chunk);
+        },
+        onText: (chunk) => {
+          if (thinking) {
+            process.stdout.write('\n' + '-' .repeat(80) + '\n');
+            thinking = false;
+          }
+          if (this.options.verbose) process.stdout.write(chunk);
+          fileParser.push(chunk);
+        }
+      });
+    } finally {
+      fileParser.end();
+      if (this.options.verbose) {
+        console.log('\n' + '=' .repeat(80));
+      }
+    }
   }
 
   async createCommit() {
@@ -250,15 +725,24 @@ Continue making progress toward completing the task.`;
       // Add all changes
       execSync('git add .', { stdio: 'inherit' });
       
-      // Generate commit message
-      const commitMessage = await this.generateCommitMessage();
+      // Generate commit message, then append models and run usage as trailers
+      const conventional = this.options.commitStyle === 'conventional'
+        ? await this.generateConventionalCommit()
+        : null;
+      const message = conventional ? conventional.message : await this.generateCommitMessage();
+      const trailers = [
+        ...(conventional ? conventional.trailers : []),
+        ...this.modelTrailers(),
+        ...this.llmClient.usage.toTrailers()
+      ];
+      const commitMessage = `${message}\n\n${trailers.join('\n')}`;
       
       if (this.options.verbose) {
         console.log('💬 Commit message:', commitMessage);
       }
       
-      // Create commit
-      execSync(`git commit -m "${commitMessage}"`, { stdio: 'inherit' });
+      // Create commit; the message goes through stdin so it needs no shell escaping
+      execSync('git commit -F -', { input: commitMessage, stdio: ['pipe', 'inherit', 'inherit'] });
       console.log('✅ Commit created successfully');
       
     } catch (error) {
@@ -270,18 +754,12 @@ Continue making progress toward completing the task.`;
     }
   }
 
-  async generateCommitMessage() {
-    try {
-      // Get git log and diff for context
-      const gitLog = execSync('git log --oneline -5', { encoding: 'utf8' }).trim();
-      const gitDiff = execSync('git diff HEAD', { encoding: 'utf8' }).trim();
-      
-      
-      const prompt = `<task>
-Generate a concise git commit message for the changes made
-</task>
+  // Task, recent history and the staged diff, shared by both commit styles
+  commitContext() {
+    const gitLog = execSync('git log --oneline -5', { encoding: 'utf8' }).trim();
+    const gitDiff = execSync('git diff HEAD', { encoding: 'utf8' }).trim();
 
-<original_task>
+    return `<original_task>
 ${formatTask(this.input)}
 </original_task>
 
@@ -291,19 +769,53 @@ ${gitLog}
 
 <git_diff>
 ${gitDiff}
-</git_diff>
+</git_diff>`;
+  }
+
+  async generateCommitMessage() {
+    try {
+      const prompt = `<task>
+Generate a concise git commit message for the changes made
+</task>
+
+${this.commitContext()}
 
 Respond with just the commit message, no explanation.`;
     
       const message = await this.llmClient.generateResponse(prompt, { useCommitModel: true });
-      return message.trim().replace(/"/g, '\\"');
+      return message.trim();
     } catch (error) {
-      if (this.options.verbose) {
-        console.log('⚠️ Failed to generate commit message:', error.message);
-      }
+      console.log(`⚠️ Failed to generate commit message (${error.message}) - using a generic one`);
       return "AI-generated code changes";
     }
   }
+
+  // COMMIT_STYLE=conventional: asks for the message as JSON, validates it and
+  // renders header, body and footers. Resolves to { message, trailers }, or
+  // null so the caller falls back to a free-form message.
+  async generateConventionalCommit() {
+    try {
+      const prompt = `<task>
+Describe the changes made as a Conventional Commit
+</task>
+
+${this.commitContext()}
+
+${CONVENTIONAL_FORMAT}`;
+
+      const response = await this.llmClient.generateResponse(prompt, { useCommitModel: true });
+      const commit = normalizeConventionalCommit(parseCommitJSON(response));
+      const errors = validateConventionalCommit(commit);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      return renderConventionalCommit(commit, { issueNumber: this.input.number });
+    } catch (error) {
+      console.log(`⚠️ Could not build a Conventional Commit message (${error.message}) - falling back to free-form`);
+      return null;
+    }
+  }
 }
 
 module.exports = { AICoder };
\ No newline at end of file
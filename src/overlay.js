@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// In-memory view of the working tree for dry runs: writes, deletes and mode
+// changes land here instead of on disk, and reads see them. Files it has not
+// touched are read from disk. changes() lists the difference for the preview.
+//
+// It also stands in for a SnapshotStore (beginStep / save / rollback / reset),
+// so ROLLBACK works in a dry run without touching the real snapshots, and
+// scratchCopy() gives eval scripts a real tree to run in.
+class FileOverlay {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    // absolute path -> { content: Buffer | null (deleted), mode }
+    this.files = new Map();
+    // [{ step, before }] where before is the files map when the step began
+    this.steps = [];
+  }
+
+  resolve(filePath) {
+    return path.resolve(this.root, filePath);
+  }
+
+  // Buffer, or null when the file does not exist
+  read(filePath) {
+    const absolute = this.resolve(filePath);
+    if (this.files.has(absolute)) return this.files.get(absolute).content;
+    try {
+      return fs.readFileSync(absolute);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // { isDirectory(), mode } like fs.Stats, or null when the path does not exist
+  lstat(filePath) {
+    const absolute = this.resolve(filePath);
+    if (!this.files.has(absolute)) return fs.lstatSync(absolute, { throwIfNoEntry: false }) || null;
+    const entry = this.files.get(absolute);
+    return entry.content === null ? null : { isDirectory: () => false, mode: entry.mode };
+  }
+
+  write(filePath, content) {
+    const stat = this.lstat(filePath);
+    this.files.set(this.resolve(filePath), { content, mode: stat ? stat.mode & 0o7777 : 0o644 });
+  }
+
+  remove(filePath) {
+    this.files.set(this.resolve(filePath), { content: null, mode: null });
+  }
+
+  chmod(filePath, mode) {
+    this.files.set(this.resolve(filePath), { content: this.read(filePath), mode });
+  }
+
+  // Files whose content or mode differs from disk, sorted by path:
+  // [{ path, before, after, beforeMode, afterMode }] with null for a missing file
+  changes() {
+    const changes = [];
+    for (const [absolute, entry] of this.files) {
+      const stat = fs.lstatSync(absolute, { throwIfNoEntry: false });
+      const before = stat && stat.isFile() ? fs.readFileSync(absolute) : null;
+      const beforeMode = before ? stat.mode & 0o7777 : null;
+      if (before === null && entry.content === null) continue;
+      if (before && entry.content && before.equals(entry.content) && beforeMode === entry.mode) continue;
+
+      changes.push({
+        path: path.relative(this.root, absolute),
+        before,
+        after: entry.content,
+        beforeMode,
+        afterMode: entry.content === null ? null : entry.mode
+      });
+    }
+    return changes.sort((a, b) => (a.path < b.path ? -1 : 1));
+  }
+
+  // A temp copy of the working tree with the overlay applied, for running eval
+  // scripts. .git is left out so evals can't change the repository, and a
+  // top-level node_modules is linked rather than copied. The caller removes it.
+  scratchCopy() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-dry-run-'));
+    for (const name of fs.readdirSync(this.root)) {
+      if (name === '.git') continue;
+      const source = path.join(this.root, name);
+      if (name === 'node_modules') fs.symlinkSync(source, path.join(dir, name));
+      else fs.cpSync(source, path.join(dir, name), { recursive: true, verbatimSymlinks: true });
+    }
+
+    for (const [absolute, entry] of this.files) {
+      const target = path.join(dir, path.relative(this.root, absolute));
+      fs.rmSync(target, { force: true });
+      if (entry.content === null) continue;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, entry.content, { mode: entry.mode });
+      fs.chmodSync(target, entry.mode);
+    }
+    return dir;
+  }
+
+  reset() {
+    this.files = new Map();
+    this.steps = [];
+  }
+
+  beginStep(step) {
+    this.steps.push({ step, before: new Map(this.files) });
+  }
+
+  // Steps capture the whole overlay when they begin; nothing to do per file
+  save() {}
+
+  // Same contract as SnapshotStore.rollback: undoes the most recent step that
+  // changed files and returns { step, restored, removed }, or null
+  rollback() {
+    const exists = (files, absolute) => files.has(absolute) ? files.get(absolute).content !== null : fs.existsSync(absolute);
+
+    for (let i = this.steps.length - 1; i >= 0; i--) {
+      const { step, before } = this.steps[i];
+      const after = i + 1 < this.steps.length ? this.steps[i + 1].before : this.files;
+      const touched = [...new Set([...before.keys(), ...after.keys()])].filter(key => before.get(key) !== after.get(key));
+      if (touched.length === 0) continue;
+
+      const open = this.steps[this.steps.length - 1];
+      this.files = new Map(before);
+      this.steps.splice(i);
+      if (open.step !== step) this.steps.push({ step: open.step, before: new Map(this.files) });
+
+      const relative = key => path.relative(this.root, key);
+      return {
+        step,
+        restored: touched.filter(key => exists(before, key)).map(relative),
+        removed: touched.filter(key => !exists(before, key)).map(relative)
+      };
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  FileOverlay
+};
@@ -0,0 +1,240 @@
+// Unified diff (`diff -u` / `git diff`) parsing and application. Hunks are
+// placed the way `patch --fuzz` does it: at the line the header names if the
+// context matches there, otherwise at the nearest offset where it does, then
+// with up to `fuzz` outer context lines ignored, then ignoring whitespace.
+
+const DEFAULT_FUZZ = 2;
+
+// "a/src/x.js\t2024-01-01 ..." -> "src/x.js"; /dev/null -> null
+function cleanPath(raw, prefix) {
+  const value = raw.replace(/\t.*$/, '').trim().replace(/^"(.*)"$/, '$1');
+  if (value === '/dev/null') return null;
+  return value.startsWith(prefix) ? value.slice(prefix.length) : value;
+}
+
+function newFilePatch() {
+  return { oldPath: null, newPath: null, type: 'modify', hunks: [] };
+}
+
+// Path the patch leaves behind (the deleted path for deletions)
+function patchPath(patch) {
+  return patch.type === 'delete' ? patch.oldPath : patch.newPath;
+}
+
+function parseHunkHeader(line) {
+  const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+  if (!match) return null;
+  return {
+    header: match[0],
+    oldStart: Number(match[1]),
+    newStart: Number(match[3]),
+    lines: []
+  };
+}
+
+// Drops blank separator lines models leave after a hunk
+function closeHunk(hunk) {
+  while (hunk.lines.length > 0 && hunk.lines[hunk.lines.length - 1].op === ' ' && hunk.lines[hunk.lines.length - 1].text === '') {
+    hunk.lines.pop();
+  }
+}
+
+// Parses the text of one diff (possibly several files) into
+// [{ oldPath, newPath, type: 'modify'|'add'|'delete'|'rename', hunks }] where
+// each hunk is { header, oldStart, newStart, lines: [{ op: ' '|'-'|'+', text }] }.
+// Line counts in hunk headers are ignored - models rarely get them right - and
+// a hunk simply runs until the next header.
+function parsePatch(text) {
+  const patches = [];
+  const lines = text.split(/\r?\n/);
+  let patch = null;
+  let hunk = null;
+
+  const startPatch = () => {
+    if (hunk) closeHunk(hunk);
+    patch = newFilePatch();
+    hunk = null;
+    patches.push(patch);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fileHeader = line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ');
+
+    if (hunk && !fileHeader && !line.startsWith('diff --git ')) {
+      if (line.startsWith('@@ ')) {
+        closeHunk(hunk);
+        hunk = null;
+      } else if (line === '' || ' -+'.includes(line[0])) {
+        hunk.lines.push({ op: line === '' ? ' ' : line[0], text: line.slice(1) });
+        continue;
+      } else if (line.startsWith('\\')) {
+        // "\ No newline at end of file"
+        continue;
+      } else {
+        closeHunk(hunk);
+        hunk = null;
+      }
+    }
+
+    const gitHeader = line.match(/^diff --git (?:a\/)?(.+?) (?:b\/)?(.+)$/);
+    if (gitHeader) {
+      startPatch();
+      patch.oldPath = gitHeader[1];
+      patch.newPath = gitHeader[2];
+      patch.git = true;
+    } else if (fileHeader) {
+      // Plain unified diffs have no "diff --git" line to start a new file
+      if (!patch || !patch.git || patch.hunks.length > 0 || patch.sawHeader) startPatch();
+      patch.sawHeader = true;
+      patch.oldPath = cleanPath(line.slice(4), 'a/');
+      patch.newPath = cleanPath(lines[++i].slice(4), 'b/');
+      // Renames come from "rename from/to"; a plain diff between two names
+      // (x.js.orig -> x.js) patches the new one
+      if (patch.oldPath === null) patch.type = 'add';
+      else if (patch.newPath === null) patch.type = 'delete';
+    } else if (!patch) {
+      continue;
+    } else if (line.startsWith('new file mode')) {
+      patch.type = 'add';
+    } else if (line.startsWith('deleted file mode')) {
+      patch.type = 'delete';
+    } else if (line.startsWith('rename from ')) {
+      patch.oldPath = line.slice('rename from '.length).trim();
+      patch.type = 'rename';
+    } else if (line.startsWith('rename to ')) {
+      patch.newPath = line.slice('rename to '.length).trim();
+      patch.type = 'rename';
+    } else if (line.startsWith('@@ ')) {
+      hunk = parseHunkHeader(line);
+      if (hunk) patch.hunks.push(hunk);
+    }
+  }
+  if (hunk) closeHunk(hunk);
+
+  return patches
+    .filter(p => patchPath(p))
+    .map(({ oldPath, newPath, type, hunks }) => ({
+      oldPath: type === 'add' ? null : type === 'modify' ? newPath : oldPath,
+      newPath: type === 'delete' ? null : newPath,
+      type,
+      hunks
+    }));
+}
+
+const normalizeWhitespace = line => line.trim().replace(/\s+/g, ' ');
+
+function linesMatch(lines, start, expected, compare) {
+  return expected.every((line, offset) => compare(lines[start + offset]) === compare(line));
+}
+
+// Nearest start >= 0 to `expected` where `old` matches, or -1
+function findNearest(lines, old, expected, compare) {
+  const last = lines.length - old.length;
+  if (last < 0) return -1;
+  const from = Math.min(Math.max(expected, 0), last);
+
+  for (let distance = 0; from - distance >= 0 || from + distance <= last; distance++) {
+    for (const start of distance === 0 ? [from] : [from - distance, from + distance]) {
+      if (start >= 0 && start <= last && linesMatch(lines, start, old, compare)) return start;
+    }
+  }
+  return -1;
+}
+
+// Finds where a hunk applies; resolves to { start, length, replacement, fuzz,
+// whitespace } or null. Context lines in the replacement come from the file,
+// so a whitespace-tolerant match never rewrites lines the hunk did not change.
+function locateHunk(lines, hunk, expected, maxFuzz) {
+  const leading = hunk.lines.findIndex(line => line.op !== ' ');
+  const trailing = [...hunk.lines].reverse().findIndex(line => line.op !== ' ');
+
+  for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+    const skipStart = Math.min(fuzz, leading === -1 ? 0 : leading);
+    const skipEnd = Math.min(fuzz, trailing === -1 ? 0 : trailing);
+    if (fuzz > 0 && skipStart === 0 && skipEnd === 0) break;
+
+    const body = hunk.lines.slice(skipStart, hunk.lines.length - skipEnd);
+    const old = body.filter(line => line.op !== '+').map(line => line.text);
+    if (old.length === 0) {
+      if (fuzz > 0) break;
+      const start = Math.min(Math.max(expected, 0), lines.length);
+      return { start, expectedStart: start, length: 0, replacement: body.map(line => line.text), fuzz, whitespace: false };
+    }
+
+    for (const whitespace of [false, true]) {
+      const compare = whitespace ? normalizeWhitespace : line => line;
+      const expectedStart = expected + skipStart;
+      const start = findNearest(lines, old, expectedStart, compare);
+      if (start === -1) continue;
+
+      const replacement = [];
+      let cursor = start;
+      for (const line of body) {
+        if (line.op === '+') replacement.push(line.text);
+        else if (line.op === ' ') replacement.push(lines[cursor++]);
+        else cursor++;
+      }
+      return { start, expectedStart, length: old.length, replacement, fuzz, whitespace };
+    }
+  }
+
+  return null;
+}
+
+// Applies hunks in order to `content`. Hunks that cannot be placed are
+// skipped and reported; the rest still apply. Returns { content, applied,
+// adjusted (hunks placed with an offset, fuzz or whitespace tolerance),
+// rejected: [{ index, hunk }] }.
+function applyHunks(content, hunks, options = {}) {
+  const { fuzz = DEFAULT_FUZZ } = options;
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const finalNewline = content === '' || content.endsWith('\n');
+  const lines = content === '' ? [] : content.split(/\r?\n/);
+  if (content.endsWith('\n')) lines.pop();
+
+  let shift = 0;
+  let applied = 0;
+  let adjusted = 0;
+  const rejected = [];
+
+  hunks.forEach((hunk, index) => {
+    const pureInsert = hunk.lines.every(line => line.op === '+');
+    // "-5,0" inserts after line 5; every other hunk starts at its line
+    const expected = (pureInsert ? hunk.oldStart : hunk.oldStart - 1) + shift;
+    const match = locateHunk(lines, hunk, expected, fuzz);
+    if (!match) {
+      rejected.push({ index, hunk });
+      return;
+    }
+
+    lines.splice(match.start, match.length, ...match.replacement);
+    applied++;
+    if (match.start !== match.expectedStart || match.fuzz > 0 || match.whitespace) adjusted++;
+    // Later hunks move by this hunk's offset and by the lines it added or removed
+    shift += match.start - match.expectedStart + match.replacement.length - match.length;
+  });
+
+  const joined = lines.join(eol);
+  return {
+    content: finalNewline && lines.length > 0 ? joined + eol : joined,
+    applied,
+    adjusted,
+    rejected
+  };
+}
+
+// Hunk text as the model wrote it, for quoting rejected hunks back
+function formatHunk(hunk, maxLines = 12) {
+  const body = hunk.lines.slice(0, maxLines).map(line => line.op + line.text);
+  if (hunk.lines.length > maxLines) body.push(`... (${hunk.lines.length - maxLines} more lines)`);
+  return [hunk.header, ...body].join('\n');
+}
+
+module.exports = {
+  DEFAULT_FUZZ,
+  parsePatch,
+  patchPath,
+  applyHunks,
+  formatHunk
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_FILE, loadProjectConfig } = require('./config.js');
+
+// Paths the agent must not touch: globs from .berrryignore (one per line, #
+// comments) and "protect" in .berrry.json. "allowWrite" in .berrry.json, if
+// set, additionally limits writes to matching paths. Protected files are also
+// kept out of the repo context.
+const IGNORE_FILE = '.berrryignore';
+
+// The rule files themselves are never writable, or a step could lift them
+const RULE_FILES = [IGNORE_FILE, CONFIG_FILE];
+
+// Converts a glob to a RegExp over repository-relative, '/'-separated paths:
+//   *  anything but '/'        ?      one character but '/'
+//   ** any number of dirs     {a,b}  alternatives
+// As in .gitignore, a pattern without a '/' (other than a trailing one)
+// matches a name at any depth, and a match on a directory covers everything
+// below it.
+function globToRegExp(glob) {
+  let pattern = glob.trim();
+  const anchored = pattern.replace(/\/+$/, '').includes('/');
+  pattern = pattern.replace(/^\/+/, '').replace(/\/+$/, '');
+
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      braces++;
+    } else if (char === '}' && braces > 0) {
+      source += ')';
+      braces--;
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}(?:/.*)?$`);
+}
+
+function compileRules(patterns, source) {
+  return patterns
+    .map(pattern => String(pattern).trim())
+    .filter(pattern => pattern && !pattern.startsWith('#'))
+    .map(pattern => ({ pattern, source, regex: globToRegExp(pattern) }));
+}
+
+// Returns { protect: [{ pattern, source, regex }], allowWrite: [...] | null }
+function loadPathRules(root = process.cwd()) {
+  let ignoreLines = [];
+  try {
+    ignoreLines = fs.readFileSync(path.join(root, IGNORE_FILE), 'utf8').split(/\r?\n/);
+  } catch (error) {
+    // No .berrryignore
+  }
+
+  const config = loadProjectConfig(root);
+  for (const key of ['protect', 'allowWrite']) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      throw new Error(`Invalid ${CONFIG_FILE}: "${key}" must be an array of globs`);
+    }
+  }
+
+  return {
+    protect: [...compileRules(ignoreLines, IGNORE_FILE), ...compileRules(config.protect || [], CONFIG_FILE)],
+    allowWrite: config.allowWrite ? compileRules(config.allowWrite, CONFIG_FILE) : null
+  };
+}
+
+const toRulePath = filePath => path.normalize(filePath).split(path.sep).join('/').replace(/^\.\//, '');
+
+// The protect rule matching a repository-relative path, or null
+function findProtectRule(rules, filePath) {
+  const relative = toRulePath(filePath);
+  return rules.protect.find(rule => rule.regex.test(relative)) || null;
+}
+
+// Why the path may not be written, or null if it may
+function writeBlockReason(rules, filePath) {
+  const relative = toRulePath(filePath);
+  if (RULE_FILES.includes(relative)) {
+    return `${relative} holds the path rules and cannot be changed by the agent`;
+  }
+
+  const rule = findProtectRule(rules, relative);
+  if (rule) return `path is protected by "${rule.pattern}" in ${rule.source}`;
+
+  if (rules.allowWrite && !rules.allowWrite.some(allow => allow.regex.test(relative))) {
+    return `path is not in the allowWrite list of ${CONFIG_FILE}`;
+  }
+  return null;
+}
+
+module.exports = {
+  IGNORE_FILE,
+  globToRegExp,
+  loadPathRules,
+  findProtectRule,
+  writeBlockReason
+};
@@ -0,0 +1,183 @@
+const { LLMAPIError, contentText, toolCall } = require('./common.js');
+
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+function toAnthropicContent(content, caching) {
+  if (typeof content === 'string') return content;
+  return content.map(block => ({
+    type: 'text',
+    text: block.text,
+    ...(block.cache && caching && { cache_control: CACHE_CONTROL })
+  }));
+}
+
+function hasCacheBreakpoint(content, caching) {
+  return caching && Array.isArray(content) && content.some(block => block.cache);
+}
+
+const THINKING_TYPES = ['thinking', 'redacted_thinking'];
+
+// Tool results are sent as a user turn of tool_result blocks; consecutive
+// results (and any user text after them) are merged into that one turn.
+// With extended thinking a tool_use turn must start with its thinking blocks,
+// signatures intact.
+function toAnthropicMessages(messages, caching) {
+  const converted = [];
+
+  for (const message of messages) {
+    let next;
+    if (message.role === 'tool') {
+      next = {
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: contentText(message.content),
+          ...(message.isError && { is_error: true }),
+          ...(hasCacheBreakpoint(message.content, caching) && { cache_control: CACHE_CONTROL })
+        }]
+      };
+    } else if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+      next = {
+        role: 'assistant',
+        content: [
+          ...(message.thinking || []),
+          ...(message.content ? [{ type: 'text', text: contentText(message.content) }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+        ]
+      };
+    } else {
+      next = { role: message.role, content: toAnthropicContent(message.content, caching) };
+    }
+
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === 'user' && next.role === 'user') {
+      const asBlocks = content => typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+      previous.content = [...asBlocks(previous.content), ...asBlocks(next.content)];
+    } else {
+      converted.push(next);
+    }
+  }
+
+  return converted;
+}
+
+// input_tokens already excludes cache reads and writes
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0
+  };
+}
+
+module.exports = {
+  name: 'anthropic',
+  label: 'Anthropic',
+  defaultUrl: 'https://api.anthropic.com/v1/messages',
+  apiKeyEnv: ['ANTHROPIC_API_KEY'],
+  requiresApiKey: true,
+  defaultModel: 'anthropic/claude-sonnet-4',
+  defaultCommitModel: 'anthropic/claude-3.5-haiku',
+  supportsThinking: true,
+
+  buildRequest({ apiKey, model, messages, system, tools, maxTokens, stream, promptCaching, thinkingBudget }) {
+    return {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
+        model: model.replace('anthropic/', ''),
+        max_tokens: maxTokens,
+        ...(system && { system: toAnthropicContent(system, promptCaching) }),
+        ...(tools && {
+          tools: tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.parameters
+          }))
+        }),
+        ...(thinkingBudget && { thinking: { type: 'enabled', budget_tokens: thinkingBudget } }),
+        messages: toAnthropicMessages(messages, promptCaching),
+        stream
+      }
+    };
+  },
+
+  parseResponse(data) {
+    return {
+      text: data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolCalls: data.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input })),
+      thinking: data.content.filter(block => THINKING_TYPES.includes(block.type)),
+      stopReason: data.stop_reason,
+      usage: normalizeUsage(data.usage)
+    };
+  },
+
+  createStreamReader(onText, onThinking) {
+    let text = '';
+    let stopReason = null;
+    const usage = {};
+    const blocks = {};
+
+    return {
+      handle(data) {
+        const payload = JSON.parse(data);
+
+        if (payload.type === 'error') {
+          throw new LLMAPIError(`Anthropic API stream error: ${payload.error.message}`, {
+            retryable: ['overloaded_error', 'api_error', 'rate_limit_error'].includes(payload.error.type)
+          });
+        }
+        if (payload.type === 'message_start' && payload.message.usage) {
+          Object.assign(usage, payload.message.usage);
+        }
+        if (payload.type === 'message_delta') {
+          if (payload.usage) Object.assign(usage, payload.usage);
+          if (payload.delta && payload.delta.stop_reason) stopReason = payload.delta.stop_reason;
+        }
+        if (payload.type === 'content_block_start') {
+          blocks[payload.index] = { ...payload.content_block, json: '' };
+        }
+        if (payload.type === 'content_block_delta' && payload.delta.type === 'text_delta') {
+          text += payload.delta.text;
+          if (onText) onText(payload.delta.text);
+        }
+        if (payload.type === 'content_block_delta' && payload.delta.type === 'input_json_delta') {
+          blocks[payload.index].json += payload.delta.partial_json;
+        }
+        if (payload.type === 'content_block_delta' && payload.delta.type === 'thinking_delta') {
+          blocks[payload.index].thinking += payload.delta.thinking;
+          if (onThinking) onThinking(payload.delta.thinking);
+        }
+        if (payload.type === 'content_block_delta' && payload.delta.type === 'signature_delta') {
+          blocks[payload.index].signature = payload.delta.signature;
+        }
+        return true;
+      },
+
+      finish() {
+        return {
+          text,
+          toolCalls: Object.values(blocks)
+            .filter(block => block.type === 'tool_use')
+            .map(block => toolCall(block.id, block.name, block.json)),
+          thinking: Object.values(blocks)
+            .filter(block => THINKING_TYPES.includes(block.type))
+            .map(({ json, ...block }) => block),
+          stopReason,
+          usage: normalizeUsage(usage)
+        };
+      }
+    };
+  }
+};
@@ -0,0 +1,54 @@
+// Error raised for failed API calls. `retryable` is left undefined when the
+// status code alone decides (see isRetryableError in retry.js).
+class LLMAPIError extends Error {
+  constructor(message, { status = null, retryAfter = null, retryable } = {}) {
+    super(message);
+    this.name = 'LLMAPIError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    if (retryable !== undefined) this.retryable = retryable;
+  }
+}
+
+// Raised once the run is cancelled (Ctrl-C / SIGTERM); never retried and never
+// handed to a fallback model
+class CancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+    this.retryable = false;
+  }
+}
+
+// Message content is either a plain string or an array of
+// { type: 'text', text, cache } blocks; `cache: true` marks a prompt-cache breakpoint.
+function contentText(content) {
+  if (content === null || content === undefined) return '';
+  return typeof content === 'string'
+    ? content
+    : content.map(block => block.text).join('\n\n');
+}
+
+// Extended thinking comes back as raw provider blocks ({ type: 'thinking',
+// thinking, signature } or { type: 'redacted_thinking', data }) so they can be
+// sent back unchanged; this extracts the readable part for logs.
+function thinkingText(thinking) {
+  return (thinking || [])
+    .filter(block => block.type === 'thinking')
+    .map(block => block.thinking)
+    .join('\n\n');
+}
+
+// Normalized tool call from the JSON arguments a model sent. Models (local
+// ones especially) sometimes send malformed JSON; the call then carries an
+// `error` for executeToolCall to hand back instead of aborting the run.
+function toolCall(id, name, args) {
+  if (!args) return { id, name, input: {} };
+  try {
+    return { id, name, input: JSON.parse(args) };
+  } catch (error) {
+    return { id, name, input: {}, error: `Invalid JSON in the ${name} arguments (${error.message}); call the tool again with valid JSON` };
+  }
+}
+
+module.exports = { LLMAPIError, CancelledError, contentText, thinkingText, toolCall };
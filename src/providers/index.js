@@ -0,0 +1,66 @@
+const path = require('path');
+const anthropic = require('./anthropic.js');
+const { openrouter, openai, createOpenAICompatibleProvider } = require('./openai.js');
+
+// Adapter interface (see anthropic.js / openai.js):
+//   name, label, defaultUrl, apiKeyEnv, requiresApiKey, defaultModel, defaultCommitModel
+//   supportsThinking (optional, honours thinkingBudget)
+//   buildRequest({ apiKey, model, messages, system, tools, maxTokens, stream, promptCaching, thinkingBudget }) -> { headers, body }
+//   parseResponse(json) -> { text, toolCalls, stopReason, usage, thinking? }
+//   createStreamReader(onText, onThinking) -> { handle(data) -> false to stop, finish() -> result }  (optional)
+const providers = { anthropic, openrouter, openai };
+
+function registerProvider(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.buildRequest !== 'function' || typeof adapter.parseResponse !== 'function') {
+    throw new Error('A provider needs a name, buildRequest() and parseResponse()');
+  }
+  providers[adapter.name] = adapter;
+  return adapter;
+}
+
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}". Available: ${Object.keys(providers).join(', ')}, custom`);
+  }
+  return provider;
+}
+
+// PROVIDER_MODULE points at a file exporting an adapter object
+function loadCustomProvider(modulePath) {
+  const adapter = require(path.resolve(modulePath));
+  return registerProvider({ label: 'Custom', requiresApiKey: false, ...adapter, name: 'custom' });
+}
+
+// An explicit PROVIDER wins; otherwise the first API key found decides, and a
+// bare API_URL means a keyless OpenAI-compatible server.
+function resolveProvider(env = process.env) {
+  if (env.PROVIDER === 'custom' || (!env.PROVIDER && env.PROVIDER_MODULE)) {
+    if (!env.PROVIDER_MODULE) {
+      throw new Error('PROVIDER=custom requires PROVIDER_MODULE=path/to/adapter.js');
+    }
+    return loadCustomProvider(env.PROVIDER_MODULE);
+  }
+  if (env.PROVIDER) return getProvider(env.PROVIDER);
+
+  if (env.ANTHROPIC_API_KEY) return anthropic;
+  if (env.OPENROUTER_API_KEY) return openrouter;
+  if (env.OPENAI_API_KEY || env.API_URL) return openai;
+
+  throw new Error('API key required. Set ANTHROPIC_API_KEY or OPENROUTER_API_KEY environment variable, or PROVIDER=openai with API_URL for a local server.');
+}
+
+function resolveApiKey(provider, env = process.env) {
+  for (const name of provider.apiKeyEnv || []) {
+    if (env[name]) return env[name];
+  }
+  return env.API_KEY || null;
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  resolveProvider,
+  resolveApiKey,
+  createOpenAICompatibleProvider
+};
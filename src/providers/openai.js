@@ -0,0 +1,173 @@
+const { LLMAPIError, contentText, toolCall } = require('./common.js');
+const { isRetryableStatus } = require('../retry.js');
+
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+// prompt_tokens includes cached tokens; inputTokens counts only fresh ones
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const cached = (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0;
+  return {
+    inputTokens: (usage.prompt_tokens || 0) - cached,
+    outputTokens: usage.completion_tokens || 0,
+    cacheReadTokens: cached,
+    cacheWriteTokens: 0
+  };
+}
+
+// Builds an adapter for servers speaking the OpenAI /v1/chat/completions shape.
+// `cacheControlFor(model)` decides whether content blocks keep cache_control
+// (OpenRouter forwards it to Anthropic models); otherwise blocks are flattened.
+function createOpenAICompatibleProvider(config) {
+  const {
+    extraHeaders = {},
+    cacheControlFor = () => false,
+    ...rest
+  } = config;
+
+  const toContent = (content, model, promptCaching) => {
+    if (typeof content === 'string') return content;
+    if (!promptCaching || !cacheControlFor(model)) return contentText(content);
+    return content.map(block => ({
+      type: 'text',
+      text: block.text,
+      ...(block.cache && { cache_control: CACHE_CONTROL })
+    }));
+  };
+
+  const toMessage = (message, model, promptCaching) => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: contentText(message.content) };
+    }
+    if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content ? contentText(message.content) : null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.input) }
+        }))
+      };
+    }
+    return { role: message.role, content: toContent(message.content, model, promptCaching) };
+  };
+
+  return {
+    requiresApiKey: false,
+    ...rest,
+
+    buildRequest({ apiKey, model, messages, system, tools, maxTokens, stream, promptCaching }) {
+      return {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+          ...extraHeaders
+        },
+        body: {
+          model,
+          messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            ...messages
+          ].map(message => toMessage(message, model, promptCaching)),
+          ...(tools && {
+            tools: tools.map(tool => ({
+              type: 'function',
+              function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }))
+          }),
+          max_tokens: maxTokens,
+          temperature: 0.1,
+          stream,
+          // OpenAI and vLLM only report usage for streams when asked to
+          ...(stream && { stream_options: { include_usage: true } })
+        }
+      };
+    },
+
+    parseResponse(data) {
+      const message = data.choices[0].message;
+      return {
+        text: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => toolCall(call.id, call.function.name, call.function.arguments)),
+        stopReason: data.choices[0].finish_reason,
+        usage: normalizeUsage(data.usage)
+      };
+    },
+
+    createStreamReader(onText) {
+      let text = '';
+      let usage = null;
+      let stopReason = null;
+      const calls = [];
+
+      return {
+        handle(data) {
+          if (data === '[DONE]') return false;
+          const payload = JSON.parse(data);
+
+          if (payload.error) {
+            throw new LLMAPIError(`${rest.label} API stream error: ${payload.error.message}`, {
+              retryable: isRetryableStatus(Number(payload.error.code))
+            });
+          }
+          if (payload.usage) {
+            usage = payload.usage;
+          }
+          const choice = payload.choices && payload.choices[0];
+          if (!choice) return true;
+          if (choice.finish_reason) stopReason = choice.finish_reason;
+
+          const delta = choice.delta || {};
+          if (delta.content) {
+            text += delta.content;
+            if (onText) onText(delta.content);
+          }
+          // Tool call fragments arrive keyed by index; id and name come first
+          for (const fragment of delta.tool_calls || []) {
+            const call = calls[fragment.index] || (calls[fragment.index] = { id: null, name: '', args: '' });
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function && fragment.function.name) call.name += fragment.function.name;
+            if (fragment.function && fragment.function.arguments) call.args += fragment.function.arguments;
+          }
+          return true;
+        },
+
+        finish() {
+          return {
+            text,
+            toolCalls: calls.filter(Boolean).map(call => toolCall(call.id, call.name, call.args)),
+            stopReason,
+            usage: normalizeUsage(usage)
+          };
+        }
+      };
+    }
+  };
+}
+
+const openrouter = createOpenAICompatibleProvider({
+  name: 'openrouter',
+  label: 'OpenRouter',
+  defaultUrl: 'https://openrouter.ai/api/v1/chat/completions',
+  apiKeyEnv: ['OPENROUTER_API_KEY'],
+  requiresApiKey: true,
+  defaultModel: 'anthropic/claude-sonnet-4',
+  defaultCommitModel: 'anthropic/claude-3.5-haiku',
+  extraHeaders: {
+    'HTTP-Referer': 'https://github.com/Strawberry-Computer/berrry-committer',
+    'X-Title': 'Berrry Committer'
+  },
+  cacheControlFor: model => model.startsWith('anthropic/')
+});
+
+// Any /v1/chat/completions server: OpenAI itself, vLLM, llama.cpp server,
+// Ollama. The key is optional so on-prem servers work without one.
+const openai = createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  defaultUrl: 'http://localhost:8000/v1/chat/completions',
+  apiKeyEnv: ['OPENAI_API_KEY']
+});
+
+module.exports = { openrouter, openai, createOpenAICompatibleProvider };
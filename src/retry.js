@@ -0,0 +1,100 @@
+// Socket-level failures that are worth another attempt. Node's fetch (undici)
+// wraps them in a TypeError whose `cause` carries the code.
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+];
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+function isRetryableError(error) {
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  if (error.status) return isRetryableStatus(error.status);
+
+  const code = error.code || (error.cause && error.cause.code);
+  return RETRYABLE_NETWORK_CODES.includes(code);
+}
+
+// Retry-After is either delay-seconds or an HTTP date; retry-after-ms is the
+// millisecond variant some OpenAI-compatible servers send. Returns ms or null.
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+
+  const ms = headers.get('retry-after-ms');
+  if (ms && !isNaN(parseFloat(ms))) return Math.max(0, parseFloat(ms));
+
+  const value = headers.get('retry-after');
+  if (!value) return null;
+
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.max(0, parseFloat(value) * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter, unless the server told us how long to
+// wait; a Retry-After beyond maxDelay is capped so a server can't stall the run
+function getRetryDelay(attempt, error, options = {}) {
+  const { baseDelay = 1000, maxDelay = 60000 } = options;
+
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, maxDelay);
+  }
+
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Resolves after `ms`, or rejects with the signal's reason once it aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function withRetry(fn, options = {}) {
+  const {
+    maxRetries = 3,
+    baseDelay = 1000,
+    maxDelay = 60000,
+    onRetry = null,
+    signal = null
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error) || (signal && signal.aborted)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error, { baseDelay, maxDelay });
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  isRetryableStatus,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  sleep,
+  withRetry
+};
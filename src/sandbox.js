@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Paths come from model output, which may be steered by untrusted issue text,
+// so every file operation is confined to the repository root.
+
+class UnsafePathError extends Error {
+  constructor(filePath, reason) {
+    super(`Refusing to touch ${JSON.stringify(filePath)}: ${reason}`);
+    this.name = 'UnsafePathError';
+    this.path = filePath;
+    this.reason = reason;
+  }
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative);
+}
+
+function touchesGitDir(root, target) {
+  return path.relative(root, target).split(path.sep).some(segment => segment.toLowerCase() === '.git');
+}
+
+// Resolves a model-supplied path against the repository root (the working
+// directory) and resolves to its absolute form. Throws UnsafePathError for
+// absolute paths, `..` escapes, anything inside .git and paths that leave the
+// repository through a symlink.
+async function resolveRepoPath(filePath, root = process.cwd()) {
+  const reject = reason => { throw new UnsafePathError(filePath, reason); };
+
+  if (typeof filePath !== 'string' || filePath.trim() === '') reject('empty path');
+  if (filePath.includes('\0')) reject('path contains a NUL byte');
+  if (path.isAbsolute(filePath) || /^[a-zA-Z]:[\\/]/.test(filePath)) reject('absolute paths are not allowed');
+
+  const rootPath = path.resolve(root);
+  const resolved = path.resolve(rootPath, filePath);
+  if (resolved === rootPath || !isInside(rootPath, resolved)) reject('path is outside the repository');
+  if (touchesGitDir(rootPath, resolved)) reject('writing inside .git is not allowed');
+
+  // The part of the path that exists may contain symlinks; follow them and
+  // check where the file would really end up
+  let existing = resolved;
+  while (!(await fs.lstat(existing).catch(() => null))) {
+    existing = path.dirname(existing);
+  }
+  let real;
+  try {
+    real = await fs.realpath(existing);
+  } catch (error) {
+    reject('path goes through a dangling symlink');
+  }
+  const realRoot = await fs.realpath(rootPath);
+  const target = path.join(real, path.relative(existing, resolved));
+  if (!isInside(realRoot, target)) reject('path goes through a symlink that points outside the repository');
+  if (touchesGitDir(realRoot, target)) reject('path goes through a symlink into .git');
+
+  return resolved;
+}
+
+module.exports = {
+  UnsafePathError,
+  resolveRepoPath
+};
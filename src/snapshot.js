@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Per-step snapshots of the files a run changes, so a step that made things
+// worse can be undone by the model (=== ROLLBACK ===) or the user
+// (berrry --rollback) without committing anything. Before a file is first
+// written, deleted or moved in a step, its previous contents (or the fact that
+// it did not exist) are saved; rolling back restores exactly those files.
+//
+// Snapshots live in a private per-user directory in the temp dir, keyed by
+// repository path, and survive the run so --rollback still works afterwards.
+// A new run starts from scratch.
+
+// The temp dir is shared, so the per-user directory is created 0700 and must
+// still be ours and private when reused; otherwise another user could read
+// the backups or plant a manifest.
+function privateDir(dir) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const stat = fs.lstatSync(dir);
+  const ours = typeof process.getuid !== 'function' || stat.uid === process.getuid();
+  if (!stat.isDirectory() || !ours || (stat.mode & 0o077) !== 0) {
+    throw new Error(`Refusing to use snapshot directory ${dir}: it is not a private directory owned by this user`);
+  }
+  return dir;
+}
+
+function snapshotDir(root = process.cwd()) {
+  const user = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().username;
+  const key = crypto.createHash('sha256').update(path.resolve(root)).digest('hex').slice(0, 16);
+  return path.join(privateDir(path.join(os.tmpdir(), `berrry-snapshots-${user}`)), key);
+}
+
+class SnapshotStore {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.dir = options.dir || snapshotDir(this.root);
+    this.manifestPath = path.join(this.dir, 'manifest.json');
+    this.steps = [];
+    this.current = null;
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      if (manifest.root === this.root) this.steps = manifest.steps;
+    } catch (error) {
+      // No snapshots yet
+    }
+  }
+
+  // A manifest entry may only restore a file inside the root from a backup
+  // inside the snapshot directory
+  assertSafeEntry(entry) {
+    const inside = (dir, file) => {
+      const relative = path.relative(dir, path.resolve(file));
+      return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+    if (!inside(this.root, entry.path) || (entry.existed && !inside(this.dir, entry.backup))) {
+      throw new Error(`Snapshot manifest entry ${JSON.stringify(entry.path)} points outside the repository; refusing to roll back`);
+    }
+  }
+
+  // Forgets the snapshots of earlier runs
+  reset() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    this.steps = [];
+    this.current = null;
+  }
+
+  beginStep(step) {
+    this.current = { step, files: [] };
+    this.steps.push(this.current);
+    this.saveManifest();
+  }
+
+  // Records the state of filePath before its first change in the current step
+  save(filePath) {
+    if (!this.current) return;
+    const absolute = path.resolve(this.root, filePath);
+    if (this.current.files.some(entry => entry.path === absolute)) return;
+
+    const stat = fs.lstatSync(absolute, { throwIfNoEntry: false });
+    const entry = { path: absolute, existed: Boolean(stat) };
+    if (stat) {
+      const backup = path.join(this.dir, `step-${this.current.step}`, String(this.current.files.length));
+      fs.mkdirSync(path.dirname(backup), { recursive: true, mode: 0o700 });
+      fs.copyFileSync(absolute, backup);
+      entry.backup = backup;
+      entry.mode = stat.mode & 0o7777;
+    }
+    this.current.files.push(entry);
+    this.saveManifest();
+  }
+
+  // Restores the tree to how it was before the most recent step that changed
+  // files, and forgets that step. Returns { step, restored, removed } (paths
+  // relative to the root) or null when there is nothing to undo.
+  // The step in progress (if it has not changed anything yet) stays open.
+  rollback() {
+    const open = this.current && this.current.files.length === 0 ? this.steps.pop() : null;
+    while (this.steps.length > 0 && this.steps[this.steps.length - 1].files.length === 0) {
+      this.steps.pop();
+    }
+    const snapshot = this.steps.pop();
+    if (open) this.steps.push(open);
+    this.current = open;
+    if (!snapshot) {
+      this.saveManifest();
+      return null;
+    }
+
+    snapshot.files.forEach(entry => this.assertSafeEntry(entry));
+
+    const restored = [];
+    const removed = [];
+    for (const entry of [...snapshot.files].reverse()) {
+      const relative = path.relative(this.root, entry.path);
+      if (entry.existed) {
+        fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+        fs.copyFileSync(entry.backup, entry.path);
+        fs.chmodSync(entry.path, entry.mode);
+        restored.push(relative);
+      } else {
+        fs.rmSync(entry.path, { force: true });
+        this.removeEmptyParents(entry.path);
+        removed.push(relative);
+      }
+    }
+
+    fs.rmSync(path.join(this.dir, `step-${snapshot.step}`), { recursive: true, force: true });
+    this.saveManifest();
+    return { step: snapshot.step, restored: restored.reverse(), removed: removed.reverse() };
+  }
+
+  // Directories created for a file go away with it
+  removeEmptyParents(filePath) {
+    for (let dir = path.dirname(filePath); dir !== this.root && dir.startsWith(this.root); dir = path.dirname(dir)) {
+      try {
+        fs.rmdirSync(dir);
+      } catch (error) {
+        return;
+      }
+    }
+  }
+
+  saveManifest() {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.manifestPath, JSON.stringify({ root: this.root, steps: this.steps }, null, 2));
+  }
+}
+
+// Human-readable line for a rollback result
+function describeRollback(result) {
+  const parts = [
+    ...(result.restored.length > 0 ? [`restored ${result.restored.join(', ')}`] : []),
+    ...(result.removed.length > 0 ? [`removed ${result.removed.join(', ')}`] : [])
+  ];
+  return `Rolled back step ${result.step}: ${parts.join('; ')}`;
+}
+
+module.exports = {
+  SnapshotStore,
+  snapshotDir,
+  describeRollback
+};
@@ -0,0 +1,112 @@
+const { findModelEntry } = require('./usage.js');
+
+// Rough characters per token. Code tokenizes denser than English prose, so
+// this errs on the high side and keeps prompts inside the window.
+const CHARS_PER_TOKEN = 3.5;
+
+// Context windows in tokens, matched like DEFAULT_PRICES in usage.js
+const CONTEXT_WINDOWS = {
+  'claude-': 200000,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'o3': 200000,
+  'o4-mini': 200000,
+  'gemini-1.5': 1048576,
+  'gemini-2': 1048576,
+  'deepseek': 128000,
+  'qwen2.5-coder': 32768,
+  'llama-3': 128000
+};
+
+// Unknown (often local) models get a conservative window; set CONTEXT_WINDOW
+// to use more of a larger one
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+function getContextWindow(model, override = process.env.CONTEXT_WINDOW) {
+  const size = parseInt(override);
+  if (size > 0) return size;
+  return findModelEntry(model, CONTEXT_WINDOWS) || DEFAULT_CONTEXT_WINDOW;
+}
+
+// Keeps whole lines from the start of `text` within maxTokens and notes how
+// much was cut, so the model knows to read the rest itself
+function truncateToTokens(text, maxTokens) {
+  const lines = text.split('\n');
+  // Leave room for the note itself
+  const maxChars = Math.floor(maxTokens * CHARS_PER_TOKEN) - 120;
+  let kept = 0;
+  let chars = 0;
+
+  while (kept < lines.length && chars + lines[kept].length + 1 <= maxChars) {
+    chars += lines[kept].length + 1;
+    kept++;
+  }
+
+  return `${lines.slice(0, kept).join('\n')}\n...[truncated: ${lines.length - kept} of ${lines.length} lines omitted - cat the file in eval.sh to read the rest]`;
+}
+
+// Fits named sections ({ name, content, lowValue?, fixed? }) into `budget`
+// tokens. Low-value sections (lockfiles) are dropped first, largest first;
+// then the largest flexible sections are cut to a common cap. Sections marked
+// fixed are never touched. Returns { sections, trimmed, tokens } where each
+// trimmed entry is { name, action: 'dropped' | 'truncated', from, to }.
+function fitToBudget(sections, budget) {
+  const sized = sections.map(section => ({ ...section, tokens: estimateTokens(section.content) }));
+  const trimmed = [];
+  let total = sized.reduce((sum, section) => sum + section.tokens, 0);
+
+  const lowValue = sized.filter(section => section.lowValue).sort((a, b) => b.tokens - a.tokens);
+  for (const section of lowValue) {
+    if (total <= budget) break;
+    trimmed.push({ name: section.name, action: 'dropped', from: section.tokens, to: 0 });
+    total -= section.tokens;
+    section.dropped = true;
+    section.content = null;
+    section.tokens = 0;
+  }
+
+  if (total > budget) {
+    const flexible = sized.filter(section => !section.fixed && !section.dropped);
+    const flexibleTokens = flexible.reduce((sum, section) => sum + section.tokens, 0);
+    let available = Math.max(0, budget - (total - flexibleTokens));
+
+    // Largest per-section cap that fits: small sections stay whole and leave
+    // their unused share to the big ones
+    let cap = 0;
+    const bySize = [...flexible].sort((a, b) => a.tokens - b.tokens);
+    for (let i = 0; i < bySize.length; i++) {
+      const remaining = bySize.length - i;
+      if (bySize[i].tokens * remaining > available) {
+        cap = Math.floor(available / remaining);
+        break;
+      }
+      available -= bySize[i].tokens;
+      cap = bySize[i].tokens;
+    }
+
+    for (const section of flexible) {
+      if (section.tokens <= cap) continue;
+      section.content = truncateToTokens(section.content, cap);
+      const tokens = estimateTokens(section.content);
+      trimmed.push({ name: section.name, action: 'truncated', from: section.tokens, to: tokens });
+      total += tokens - section.tokens;
+      section.tokens = tokens;
+      section.truncated = true;
+    }
+  }
+
+  return { sections: sized, trimmed, tokens: total };
+}
+
+module.exports = {
+  CONTEXT_WINDOWS,
+  DEFAULT_CONTEXT_WINDOW,
+  estimateTokens,
+  getContextWindow,
+  truncateToTokens,
+  fitToBudget
+};
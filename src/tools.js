@@ -0,0 +1,121 @@
+const { readFile, writeFile, deleteFile, executeEvalScript, UnsafePathError } = require('./file-processor.js');
+const { runHooks } = require('./hooks.js');
+
+// Tool definitions for the opt-in tool-use protocol, in the provider-neutral
+// { name, description, parameters } shape LLMClient translates per provider.
+const TOOL_DEFINITIONS = [
+  {
+    name: 'read_file',
+    description: 'Read the current contents of a file in the repository.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path relative to the repository root' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'write_file',
+    description: 'Create or overwrite a file with its complete new contents.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path relative to the repository root' },
+        content: { type: 'string', description: 'Complete file contents' }
+      },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'delete_file',
+    description: 'Delete a file from the repository.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path relative to the repository root' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'run_eval',
+    description: 'Run a bash evaluation script. Exit 0 means the task is complete and ends the run; ' +
+      'a non-zero exit returns the output so you can keep working.',
+    parameters: {
+      type: 'object',
+      properties: {
+        script: { type: 'string', description: 'Bash script body (set -euo pipefail is added)' }
+      },
+      required: ['script']
+    }
+  }
+];
+
+function formatEvalResult(evalResult) {
+  let text = evalResult.output;
+  if (evalResult.stdout) {
+    text += '\n\n<stdout>\n' + evalResult.stdout + '\n</stdout>';
+  }
+  if (evalResult.stderr) {
+    text += '\n\n<stderr>\n' + evalResult.stderr + '\n</stderr>';
+  }
+  return text;
+}
+
+// Executes one tool call and resolves to { content, isError }; run_eval also
+// returns the raw evalResult so the step loop can decide whether to stop.
+async function executeToolCall(call, options = {}) {
+  const { logOutput = true } = options;
+  const input = call.input || {};
+  if (call.error) {
+    if (logOutput) console.error(`❌ Tool ${call.name} failed: ${call.error}`);
+    return { content: `Error: ${call.error}`, isError: true };
+  }
+
+  try {
+    switch (call.name) {
+      case 'read_file': {
+        const content = await readFile(input.path, { overlay: options.overlay });
+        if (logOutput) console.log(`👀 Read: ${input.path} (${content.length} chars)`);
+        return { content, isError: false };
+      }
+
+      case 'write_file': {
+        await writeFile(input.path, input.content, { snapshots: options.snapshots, overlay: options.overlay });
+        if (logOutput) console.log(`📝 Created: ${input.path} (${input.content.length} chars)`);
+        const failures = options.hooks ? await runHooks([input.path], options.hooks, options) : [];
+        const wrote = `Wrote ${input.path} (${input.content.length} chars)`;
+        // The write itself succeeded; hook failures are for the model to fix
+        return { content: [wrote, ...failures].join('\n\n'), isError: false };
+      }
+
+      case 'delete_file': {
+        await deleteFile(input.path, { snapshots: options.snapshots, overlay: options.overlay });
+        if (logOutput) console.log(`🗑️ Deleted: ${input.path}`);
+        return { content: `Deleted ${input.path}`, isError: false };
+      }
+
+      case 'run_eval': {
+        const evalResult = await executeEvalScript(input.script, options);
+        return { content: formatEvalResult(evalResult), isError: !evalResult.success, evalResult };
+      }
+
+      default:
+        return { content: `Unknown tool: ${call.name}`, isError: true };
+    }
+  } catch (error) {
+    if (logOutput) {
+      console.error(error instanceof UnsafePathError
+        ? `🚫 Blocked ${call.name} of ${JSON.stringify(error.path)}: ${error.reason}`
+        : `❌ Tool ${call.name} failed: ${error.message}`);
+    }
+    return { content: `Error: ${error.message}`, isError: true };
+  }
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  executeToolCall,
+  formatEvalResult
+};
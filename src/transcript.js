@@ -0,0 +1,18 @@
+const fs = require('fs');
+
+// Markdown record of a run (--transcript / TRANSCRIPT): each prompt, the
+// model's thinking and response, and tool and eval results. Sections are
+// appended as they happen so an interrupted run still leaves a usable log.
+class Transcript {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.writeFileSync(filePath, `# Berrry run transcript\n\nStarted: ${new Date().toISOString()}\n`);
+  }
+
+  section(title, body) {
+    if (!body) return;
+    fs.appendFileSync(this.filePath, `\n## ${title}\n\n${body}\n`);
+  }
+}
+
+module.exports = { Transcript };
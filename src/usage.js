@@ -0,0 +1,183 @@
+const fs = require('fs');
+
+// USD per million tokens. Keys are matched against the model name without its
+// provider prefix, longest prefix first, so dated ids like
+// claude-sonnet-4-20250514 resolve to claude-sonnet-4.
+const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3.7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3.5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'claude-3.5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'claude-3-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075, cacheWrite: 0 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25, cacheWrite: 0 },
+  'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5, cacheWrite: 0 }
+};
+
+class BudgetExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.retryable = false;
+  }
+}
+
+// MODEL_PRICES is either inline JSON or a path to a JSON file with the same
+// shape as DEFAULT_PRICES; entries override or extend the defaults.
+function loadPriceOverrides(value = process.env.MODEL_PRICES) {
+  if (!value) return {};
+
+  try {
+    const json = value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid MODEL_PRICES: ${error.message}`);
+  }
+}
+
+// --max-cost / MAX_COST and --max-tokens-total / MAX_TOKENS_TOTAL. Unset is
+// no limit; anything else must be a positive number (a whole one for tokens),
+// since NaN would make every comparison false and silently lift the cap.
+function parseBudgetLimit(value, name, options = {}) {
+  const { integer = false } = options;
+  if (value === undefined || value === null) return null;
+
+  const number = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+  if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`Invalid ${name}: expected a positive ${integer ? 'whole number' : 'number'}, got "${value}"`);
+  }
+  return number;
+}
+
+// Looks a model up in a table keyed by model name: exact match first, then
+// the longest key prefixing the name without its provider prefix
+function findModelEntry(model, table) {
+  if (table[model] !== undefined) return table[model];
+
+  const name = model.includes('/') ? model.slice(model.indexOf('/') + 1) : model;
+  const match = Object.keys(table)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? table[match] : null;
+}
+
+function findPrice(model, prices) {
+  return findModelEntry(model, prices);
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    cost: 0
+  };
+}
+
+// Accumulates normalized usage (see normalizeUsage in providers/*.js) across a
+// run, prices it per model and enforces the optional run budget.
+class UsageTracker {
+  constructor(options = {}) {
+    this.options = {
+      maxCost: null,
+      maxTokensTotal: null,
+      ...options
+    };
+    this.prices = { ...DEFAULT_PRICES, ...(options.prices || {}) };
+    this.totals = emptyTotals();
+    this.byModel = {};
+    this.unpricedModels = new Set();
+  }
+
+  costOf(model, usage) {
+    const price = findPrice(model, this.prices);
+    if (!price) return null;
+
+    return (
+      usage.inputTokens * price.input +
+      usage.outputTokens * price.output +
+      usage.cacheReadTokens * (price.cacheRead ?? price.input) +
+      usage.cacheWriteTokens * (price.cacheWrite ?? price.input)
+    ) / 1e6;
+  }
+
+  record(model, usage) {
+    const modelTotals = this.byModel[model] || (this.byModel[model] = emptyTotals());
+    const cost = usage ? this.costOf(model, usage) : null;
+
+    for (const totals of [this.totals, modelTotals]) {
+      totals.requests++;
+      if (!usage) continue;
+      totals.inputTokens += usage.inputTokens;
+      totals.outputTokens += usage.outputTokens;
+      totals.cacheReadTokens += usage.cacheReadTokens;
+      totals.cacheWriteTokens += usage.cacheWriteTokens;
+      totals.cost += cost || 0;
+    }
+
+    if (usage && cost === null) this.unpricedModels.add(model);
+    return cost;
+  }
+
+  get totalTokens() {
+    const t = this.totals;
+    return t.inputTokens + t.outputTokens + t.cacheReadTokens + t.cacheWriteTokens;
+  }
+
+  // Returns a human-readable reason once a limit is reached, otherwise null
+  budgetExceeded() {
+    const { maxCost, maxTokensTotal } = this.options;
+
+    if (maxCost !== null && this.totals.cost >= maxCost) {
+      return `cost $${this.totals.cost.toFixed(4)} reached --max-cost $${maxCost}`;
+    }
+    if (maxTokensTotal !== null && this.totalTokens >= maxTokensTotal) {
+      return `${this.totalTokens} tokens reached --max-tokens-total ${maxTokensTotal}`;
+    }
+    return null;
+  }
+
+  checkBudget() {
+    const reason = this.budgetExceeded();
+    if (reason) throw new BudgetExceededError(`Budget exceeded: ${reason}`);
+  }
+
+  formatCost() {
+    const cost = `$${this.totals.cost.toFixed(4)}`;
+    return this.unpricedModels.size > 0
+      ? `${cost} (no price for ${[...this.unpricedModels].join(', ')})`
+      : cost;
+  }
+
+  formatTokens() {
+    const t = this.totals;
+    return `${t.inputTokens} input, ${t.outputTokens} output, ${t.cacheReadTokens} cache read, ${t.cacheWriteTokens} cache write`;
+  }
+
+  // Git trailer lines for commit messages; a PR shows them through its commits
+  toTrailers() {
+    return [
+      `LLM-Requests: ${this.totals.requests}`,
+      `LLM-Tokens: ${this.formatTokens()}`,
+      `LLM-Cost: ${this.formatCost()}`
+    ];
+  }
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  BudgetExceededError,
+  UsageTracker,
+  loadPriceOverrides,
+  parseBudgetLimit,
+  findModelEntry,
+  findPrice
+};
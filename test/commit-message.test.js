@@ -0,0 +1,58 @@
+const test = require('tape');
+const {
+  parseCommitJSON,
+  normalizeConventionalCommit,
+  validateConventionalCommit,
+  renderConventionalCommit
+} = require('../src/commit-message.js');
+
+function commitFrom(data) {
+  return normalizeConventionalCommit(data);
+}
+
+test('conventional: parses JSON wrapped in prose or fences', (t) => {
+  const json = '{"type":"feat","subject":"add login"}';
+  t.deepEqual(parseCommitJSON(json), { type: 'feat', subject: 'add login' }, 'bare object');
+  t.deepEqual(parseCommitJSON('Here you go:\n```json\n' + json + '\n```'), { type: 'feat', subject: 'add login' }, 'fenced object');
+  t.throws(() => parseCommitJSON('feat: add login'), /no JSON object/, 'plain text is rejected');
+  t.throws(() => parseCommitJSON('{"type": feat}'), SyntaxError, 'invalid JSON is rejected');
+  t.end();
+});
+
+test('conventional: normalizes and validates against the rules', (t) => {
+  const commit = commitFrom({ type: ' Fix ', scope: '', subject: 'handle empty input.', body: null });
+  t.deepEqual(commit, {
+    type: 'fix', scope: null, subject: 'handle empty input', body: '', breaking: false, breakingDescription: ''
+  }, 'should tidy case, whitespace and the trailing period');
+  t.deepEqual(validateConventionalCommit(commit), [], 'a tidy commit is valid');
+
+  t.ok(validateConventionalCommit(commitFrom({ type: 'feature', subject: 'x' }))[0].includes('type "feature"'), 'unknown types are rejected');
+  t.ok(validateConventionalCommit(commitFrom({ type: 'feat', scope: 'two words', subject: 'x' }))[0].includes('scope'), 'multi-word scopes are rejected');
+  t.ok(validateConventionalCommit(commitFrom({ type: 'feat' })).includes('subject is empty'), 'subject is required');
+  t.ok(validateConventionalCommit(commitFrom({ type: 'feat', subject: 'x'.repeat(80) })).some(e => e.includes('72')), 'long headers are rejected');
+  t.end();
+});
+
+test('conventional: renders header, wrapped body and footers', (t) => {
+  const commit = commitFrom({
+    type: 'feat',
+    scope: 'api',
+    subject: 'drop the v1 endpoints',
+    body: 'The v1 endpoints have been deprecated for a year and nothing in the repository calls them any more, so they are removed.\n\n- removes /v1/users\n- removes /v1/teams',
+    breaking: true,
+    breakingDescription: 'Clients must move to /v2.'
+  });
+
+  const { message, trailers } = renderConventionalCommit(commit, { issueNumber: 42 });
+  const lines = message.split('\n');
+
+  t.equal(lines[0], 'feat(api)!: drop the v1 endpoints', 'header marks the breaking change');
+  t.equal(lines[1], '', 'blank line after the header');
+  t.ok(lines.every(line => line.length <= 72), 'body is wrapped at 72 columns');
+  t.ok(message.endsWith('- removes /v1/users\n- removes /v1/teams'), 'lists keep their layout');
+  t.deepEqual(trailers, ['BREAKING-CHANGE: Clients must move to /v2.', 'Refs: #42'], 'footers are returned as trailers');
+
+  const minimal = renderConventionalCommit(commitFrom({ type: 'docs', subject: 'fix typo' }));
+  t.deepEqual(minimal, { message: 'docs: fix typo', trailers: [] }, 'no body and no footers when there is nothing to say');
+  t.end();
+});
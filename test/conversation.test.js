@@ -0,0 +1,67 @@
+const test = require('tape');
+const { Conversation } = require('../src/conversation.js');
+
+function stepResponse(file) {
+  return `=== FILENAME: ${file} ===\nbody of ${file}\n=== END: ${file} ===\n\n=== FILENAME: eval.sh ===\nexit 1\n=== END: eval.sh ===`;
+}
+
+test('conversation: keeps alternating user/assistant turns', (t) => {
+  const conversation = new Conversation();
+  conversation.addUser('task and context');
+  conversation.addAssistant(stepResponse('a.js'));
+  conversation.addUser('eval failed');
+
+  const messages = conversation.toMessages();
+  t.deepEqual(messages.map(m => m.role), ['user', 'assistant', 'user'], 'roles should alternate');
+  t.equal(messages[1].content, stepResponse('a.js'), 'recent turns should be sent verbatim');
+  t.end();
+});
+
+test('conversation: summarises exchanges older than keepRecentSteps', (t) => {
+  const conversation = new Conversation({ keepRecentSteps: 1 });
+  conversation.addUser('task and context');
+  conversation.addAssistant(stepResponse('a.js'));
+  conversation.addUser('x'.repeat(2000));
+  conversation.addAssistant(stepResponse('b.js'));
+  conversation.addUser('eval failed again');
+
+  const messages = conversation.toMessages();
+  t.equal(messages.length, 5, 'should not drop turns');
+  t.equal(messages[0].content, 'task and context', 'first turn is never summarised');
+  t.ok(messages[1].content.includes('Step 1 response omitted'), 'old assistant turn should be summarised');
+  t.ok(messages[1].content.includes('wrote a.js'), 'summary should name the files written');
+  t.ok(messages[2].content.length < 600, 'old eval output should be truncated');
+  t.equal(messages[3].content, stepResponse('b.js'), 'latest step should stay verbatim');
+  t.equal(conversation.messages[1].content, stepResponse('a.js'), 'full history should be retained');
+  t.end();
+});
+
+test('conversation: summaries list deletes and renames', (t) => {
+  const conversation = new Conversation({ keepRecentSteps: 1 });
+  conversation.addUser('task and context');
+  conversation.addAssistant('=== DELETE: old.js ===\n=== RENAME: a.js -> lib/a.js ===\n' + stepResponse('b.js'));
+  conversation.addUser('eval failed');
+  conversation.addAssistant(stepResponse('c.js'));
+
+  const summary = conversation.toMessages()[1].content;
+  t.ok(summary.includes('deleted old.js; renamed a.js -> lib/a.js'), 'summary should name moved and deleted files');
+  t.end();
+});
+
+test('conversation: thinking is kept only on recent tool turns', (t) => {
+  const thinking = [{ type: 'thinking', thinking: 'plan', signature: 'sig' }];
+  const conversation = new Conversation({ keepRecentSteps: 1 });
+  conversation.addUser('task and context');
+  conversation.addAssistant('', [{ id: 't1', name: 'read_file', input: { path: 'a.js' } }], thinking);
+  conversation.addToolResult('t1', 'contents');
+  conversation.addAssistant('', [{ id: 't2', name: 'read_file', input: { path: 'b.js' } }], thinking);
+  conversation.addToolResult('t2', 'contents');
+  conversation.addAssistant('done', [], thinking);
+
+  const messages = conversation.toMessages();
+  t.notOk(messages[1].thinking, 'compacted tool turns drop their thinking');
+  t.notOk(messages[5].thinking, 'text turns never carry thinking');
+  conversation.messages.pop();
+  t.deepEqual(conversation.toMessages()[3].thinking, thinking, 'the latest tool turn keeps its thinking');
+  t.end();
+});
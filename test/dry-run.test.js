@@ -0,0 +1,112 @@
+const test = require('tape');
+const fs = require('fs');
+const path = require('path');
+const { FileOverlay } = require('../src/overlay.js');
+const { unifiedHunks, formatFileDiff, colorizeDiff } = require('../src/diff.js');
+const { parseAndWriteFiles, readFile, executeEvalScript } = require('../src/file-processor.js');
+const { executeToolCall } = require('../src/tools.js');
+const { inRepo } = require('./helpers.js');
+
+test('diff: unified hunks like diff -u', (t) => {
+  const lines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+  const before = `${lines(20).join('\n')}\n`;
+  const after = before.replace('line 2\n', 'two\n').replace('line 18\n', '');
+
+  t.equal(unifiedHunks(before, after), [
+    '@@ -1,5 +1,5 @@',
+    ' line 1',
+    '-line 2',
+    '+two',
+    ' line 3',
+    ' line 4',
+    ' line 5',
+    '@@ -15,6 +15,5 @@',
+    ' line 15',
+    ' line 16',
+    ' line 17',
+    '-line 18',
+    ' line 19',
+    ' line 20'
+  ].join('\n'), 'distant changes get their own hunks');
+  t.equal(unifiedHunks('a\nb\n', 'a\nb'), '@@ -1,2 +1,2 @@\n a\n-b\n+b\n\\ No newline at end of file', 'marks a missing final newline');
+  t.equal(unifiedHunks('', 'x\n'), '@@ -0,0 +1 @@\n+x', 'new content starts at line 0');
+  t.equal(unifiedHunks('same\n', 'same\n'), '', 'no hunks without changes');
+
+  const diff = formatFileDiff({ path: 'run.sh', before: Buffer.from('echo\n'), after: Buffer.from('echo\n'), beforeMode: 0o644, afterMode: 0o755 });
+  t.equal(diff, 'diff --git a/run.sh b/run.sh\nold mode 100644\nnew mode 100755', 'mode-only changes');
+  t.equal(colorizeDiff('@@ -1 +1 @@\n-a\n+b'), '\x1b[36m@@ -1 +1 @@\x1b[0m\n\x1b[31m-a\x1b[0m\n\x1b[32m+b\x1b[0m', 'colors like git');
+  t.end();
+});
+
+test('dry run: parseAndWriteFiles changes the overlay, never the disk', async (t) => {
+  await inRepo(async () => {
+    fs.writeFileSync('app.js', 'const a = 1;\n');
+    fs.writeFileSync('old.txt', 'old\n');
+    const overlay = new FileOverlay();
+
+    overlay.beginStep(1);
+    const report = {};
+    const written = await parseAndWriteFiles(`=== EDIT: app.js ===
+<<<<<<< SEARCH
+const a = 1;
+=======
+const a = 2;
+>>>>>>> REPLACE
+=== END: app.js ===
+=== RENAME: old.txt -> docs/new.txt ===
+=== FILENAME: bin/tool ===
+#!/bin/sh
+=== END: bin/tool ===
+=== MODE: 755 bin/tool ===
+=== DELETE: missing.txt ===`, { logOutput: false, report, overlay, snapshots: overlay });
+
+    t.deepEqual(written, ['old.txt', 'docs/new.txt', 'bin/tool', 'app.js'], 'reports the same paths as a real run');
+    t.deepEqual(report.errors, ['DELETE missing.txt: file does not exist'], 'errors are reported as usual');
+    t.deepEqual(fs.readdirSync('.').sort(), ['app.js', 'old.txt'], 'nothing is created or moved on disk');
+    t.equal(fs.readFileSync('app.js', 'utf8'), 'const a = 1;\n', 'nothing is edited on disk');
+    t.equal(await readFile('app.js', { overlay }), 'const a = 2;\n', 'reads see the overlay');
+    t.deepEqual(overlay.changes().map(change => [change.path, change.before && String(change.before), change.after && String(change.after), change.afterMode]), [
+      ['app.js', 'const a = 1;\n', 'const a = 2;\n', 0o644],
+      [path.join('bin', 'tool'), null, '#!/bin/sh\n', 0o755],
+      [path.join('docs', 'new.txt'), null, 'old\n', 0o644],
+      ['old.txt', 'old\n', null, null]
+    ], 'lists every change against the disk');
+
+    overlay.beginStep(2);
+    await parseAndWriteFiles('=== ROLLBACK ===\n=== FILENAME: b.txt ===\nb\n=== END: b.txt ===', { logOutput: false, overlay, snapshots: overlay });
+    t.deepEqual(overlay.changes().map(change => change.path), ['b.txt'], 'ROLLBACK undoes the previous step in memory');
+    t.notOk(fs.existsSync('b.txt'), 'still nothing on disk');
+  });
+  t.end();
+});
+
+test('dry run: evals run on a scratch copy with the overlay applied', async (t) => {
+  await inRepo(async () => {
+    fs.mkdirSync('.git');
+    fs.writeFileSync('app.js', 'module.exports = 1;\n');
+    fs.writeFileSync('gone.txt', 'old\n');
+    const overlay = new FileOverlay();
+    overlay.beginStep(1);
+    await parseAndWriteFiles(`=== FILENAME: app.js ===
+module.exports = 2;
+=== END: app.js ===
+=== FILENAME: run.sh ===
+echo ran
+=== END: run.sh ===
+=== MODE: 755 run.sh ===
+=== DELETE: gone.txt ===`, { logOutput: false, overlay, snapshots: overlay });
+
+    const script = 'node -e "process.exit(require(\'./app.js\') === 2 ? 0 : 1)"\n./run.sh\ntest ! -e gone.txt\ntest ! -e .git\npwd';
+    const result = await executeEvalScript(script, { logOutput: false, safeMode: false, overlay });
+    t.ok(result.success, 'the eval sees the changed, new and deleted files');
+    t.ok(result.output.startsWith('ran\n'), 'new files keep their mode');
+    const scratch = result.output.split('\n').pop();
+    t.notEqual(scratch, process.cwd(), 'the eval does not run in the working tree');
+    t.notOk(fs.existsSync(scratch), 'the scratch copy is removed afterwards');
+    t.equal(fs.readFileSync('app.js', 'utf8'), 'module.exports = 1;\n', 'nothing is written to disk');
+
+    const failing = await executeToolCall({ name: 'run_eval', input: { script: 'grep -q 1 app.js' } }, { logOutput: false, safeMode: false, overlay });
+    t.ok(failing.isError && !failing.evalResult.skipped, 'run_eval runs on the scratch copy too, so failures reach the model');
+  });
+  t.end();
+});
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Runs fn inside a fresh temp directory that is removed afterwards
+async function inRepo(fn) {
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-repo-'));
+  process.chdir(dir);
+  try {
+    return await fn(dir);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  inRepo
+};
@@ -0,0 +1,70 @@
+const test = require('tape');
+const fs = require('fs');
+const { loadHooks, runHooks } = require('../src/hooks.js');
+const { inRepo } = require('./helpers.js');
+
+test('hooks: opt-in defaults plus project hooks from .berrry.json', async (t) => {
+  await inRepo(() => {
+    t.deepEqual(loadHooks(), [], 'nothing runs without a .berrry.json asking for it');
+
+    fs.writeFileSync('.berrry.json', JSON.stringify({ defaultHooks: true }));
+    t.deepEqual(loadHooks().map(h => [h.glob, h.commands]), [
+      ['*.{js,cjs,mjs}', ['node --check {file}']],
+      ['*.py', ['python3 -m py_compile {file}']]
+    ], 'defaultHooks turns on the syntax checks');
+
+    fs.writeFileSync('.berrry.json', JSON.stringify({ defaultHooks: true, hooks: { 'src/**/*.js': 'npx prettier --write', '*.py': [] } }));
+    t.deepEqual(loadHooks().map(h => [h.glob, h.commands]), [
+      ['src/**/*.js', ['npx prettier --write']],
+      ['*.py', []],
+      ['*.{js,cjs,mjs}', ['node --check {file}']]
+    ], 'project hooks run first and can turn a default off');
+
+    fs.writeFileSync('.berrry.json', JSON.stringify({ hooks: { '*.sh': 'bash -n {file}' } }));
+    t.deepEqual(loadHooks().map(h => h.glob), ['*.sh'], 'project hooks alone leave the defaults off');
+
+    fs.writeFileSync('.berrry.json', JSON.stringify({ defaultHooks: 'yes' }));
+    t.throws(() => loadHooks(), /"defaultHooks" must be true or false/, 'rejects a non-boolean defaultHooks');
+
+    fs.writeFileSync('.berrry.json', JSON.stringify({ hooks: { '*.js': [1] } }));
+    t.throws(() => loadHooks(), /hooks for "\*\.js" must be a command/, 'rejects malformed hooks');
+  });
+  t.end();
+});
+
+test('hooks: failures are reported per file, formatters rewrite files', async (t) => {
+  await inRepo(async () => {
+    fs.mkdirSync('src');
+    fs.writeFileSync('src/ok.js', 'module.exports = 1;\n');
+    fs.writeFileSync('src/broken.js', 'function (\n');
+    fs.writeFileSync('notes.txt', 'TODO\n');
+    fs.writeFileSync('tool.py', 'print(1)\n');
+    fs.writeFileSync('.berrry.json', JSON.stringify({
+      defaultHooks: true,
+      hooks: { '*.txt': ["sed -i 's/TODO/done/' {file}", 'not-an-installed-command-xyz'] }
+    }));
+
+    const failures = await runHooks(['src/ok.js', 'src/broken.js', 'notes.txt', 'tool.py', 'deleted.js'], loadHooks(), { logOutput: false });
+
+    t.equal(failures.length, 1, 'only the broken file fails');
+    t.ok(failures[0].startsWith("HOOK src/broken.js: `node --check './src/broken.js'` failed (exit 1):"), 'should name the file and command');
+    t.ok(failures[0].includes('SyntaxError'), 'should include the checker output');
+    t.equal(fs.readFileSync('notes.txt', 'utf8'), 'done\n', 'formatters run on written files');
+    t.notOk(fs.existsSync('__pycache__'), 'py_compile leaves no bytecode in the repository');
+  });
+  t.end();
+});
+
+test('hooks: file names starting with a dash are not taken for options', async (t) => {
+  await inRepo(async () => {
+    fs.writeFileSync('-n.txt', 'text\n');
+    fs.writeFileSync('--require=payload.js', 'module.exports = 1;\n');
+    fs.writeFileSync('.berrry.json', JSON.stringify({
+      hooks: { '*.txt': ['cat {file}', 'cat'], '*.js': ['node --check {file}'] }
+    }));
+
+    const failures = await runHooks(['-n.txt', '--require=payload.js'], loadHooks(), { logOutput: false });
+    t.deepEqual(failures, [], 'the path is passed as ./<path> in both forms');
+  });
+  t.end();
+});
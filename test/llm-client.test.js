@@ -0,0 +1,702 @@
+const test = require('tape');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LLMClient, CancelledError } = require('../src/llm-client.js');
+const { resolveProvider } = require('../src/providers/index.js');
+const { parseRetryAfter, getRetryDelay } = require('../src/retry.js');
+const { executeToolCall } = require('../src/tools.js');
+
+// Starts a throwaway HTTP server on a random port; handler gets (req, res, requestCount)
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: body ? JSON.parse(body) : null });
+      handler(req, res, requests.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+  return { server, url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function sendSSE(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) {
+    res.write(event);
+  }
+  res.end();
+}
+
+// Builds a client against the fake server with a clean provider environment
+// (OpenRouter unless options.provider says otherwise)
+function createClient(url, options = {}, env = {}) {
+  const saved = { ...process.env };
+  for (const name of ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'API_KEY', 'PROVIDER', 'PROVIDER_MODULE', 'MODEL', 'COMMIT_MODEL', 'API_HEADERS']) {
+    delete process.env[name];
+  }
+  process.env.OPENROUTER_API_KEY = 'test-key';
+  process.env.API_URL = url;
+  Object.assign(process.env, env);
+  try {
+    return new LLMClient(options);
+  } finally {
+    process.env = saved;
+  }
+}
+
+test('streaming: OpenRouter SSE chunks are joined and reported live', async (t) => {
+  const fake = await startServer((req, res) => {
+    sendSSE(res, [
+      ': OPENROUTER PROCESSING\n\n',
+      'data: {"choices":[{"delta":{"content":"=== FILENAME: a.js ===\\n"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"x();\\n=== END: a.js ==="}}]}\n\n',
+      'data: {"choices":[{"delta":{}}],"usage":{"prompt_tokens":5,"completion_tokens":7}}\n\n',
+      'data: [DONE]\n\n'
+    ]);
+  });
+
+  const client = createClient(fake.url, { stream: true });
+  const chunks = [];
+  const text = await client.generateResponse('hi', { onText: chunk => chunks.push(chunk) });
+
+  t.equal(text, '=== FILENAME: a.js ===\nx();\n=== END: a.js ===', 'should join streamed deltas');
+  t.equal(chunks.length, 2, 'should report each text delta');
+  t.equal(fake.requests[0].body.stream, true, 'should request a stream');
+  t.deepEqual(fake.requests[0].body.stream_options, { include_usage: true }, 'should ask for usage in the stream');
+
+  await fake.close();
+  t.end();
+});
+
+test('streaming: Anthropic events split across network chunks', async (t) => {
+  const fake = await startServer((req, res) => {
+    sendSSE(res, [
+      'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":3}}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,',
+      '"delta":{"type":"text_delta","text":"Hello"}}\n\nevent: content_block_delta\n',
+      'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" world"}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":2}}\n\n',
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ]);
+  });
+
+  const client = createClient(fake.url, { stream: true }, { API_KEY: 'test-key', PROVIDER: 'anthropic' });
+
+  const text = await client.generateResponse('hi');
+  t.equal(text, 'Hello world', 'should reassemble text deltas');
+  t.equal(fake.requests[0].headers['x-api-key'], 'test-key', 'should use Anthropic auth header');
+
+  await fake.close();
+  t.end();
+});
+
+test('streaming disabled: falls back to a single JSON response', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'plain' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false });
+  const text = await client.generateResponse('hi');
+
+  t.equal(text, 'plain', 'should read the non-streaming body');
+  t.notOk(fake.requests[0].body.stream, 'should not request a stream');
+
+  await fake.close();
+  t.end();
+});
+
+test('retry: 429 with Retry-After is retried until success', async (t) => {
+  const fake = await startServer((req, res, count) => {
+    if (count === 1) {
+      res.writeHead(429, { 'Retry-After': '0' });
+      return res.end('slow down');
+    }
+    if (count === 2) {
+      res.writeHead(529);
+      return res.end('overloaded');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'third time lucky' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, maxRetries: 3, retryBaseDelay: 1 });
+  const text = await client.generateResponse('hi');
+
+  t.equal(text, 'third time lucky', 'should return the successful response');
+  t.equal(fake.requests.length, 3, 'should retry 429 and 529');
+
+  await fake.close();
+  t.end();
+});
+
+test('retry: fatal status codes fail immediately', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(401);
+    res.end('bad key');
+  });
+
+  const client = createClient(fake.url, { stream: false, maxRetries: 3, retryBaseDelay: 1 });
+  try {
+    await client.generateResponse('hi');
+    t.fail('should throw');
+  } catch (error) {
+    t.equal(error.status, 401, 'should surface the status');
+    t.equal(fake.requests.length, 1, 'should not retry a 401');
+  }
+
+  await fake.close();
+  t.end();
+});
+
+test('retry: gives up after maxRetries on persistent 5xx', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(503);
+    res.end('unavailable');
+  });
+
+  const client = createClient(fake.url, { stream: false, maxRetries: 2, retryBaseDelay: 1 });
+  try {
+    await client.generateResponse('hi');
+    t.fail('should throw');
+  } catch (error) {
+    t.equal(error.status, 503, 'should throw the last error');
+    t.equal(fake.requests.length, 3, 'should make 1 attempt + 2 retries');
+  }
+
+  await fake.close();
+  t.end();
+});
+
+test('retry: socket resets are retryable', async (t) => {
+  const fake = await startServer((req, res, count) => {
+    if (count === 1) return req.socket.destroy();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'recovered' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, maxRetries: 1, retryBaseDelay: 1 });
+  t.equal(await client.generateResponse('hi'), 'recovered', 'should recover after a reset');
+
+  await fake.close();
+  t.end();
+});
+
+test('timeout: a silent server is aborted and retried', async (t) => {
+  const fake = await startServer((req, res, count) => {
+    if (count === 1) return; // never answers
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'second try' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, requestTimeout: 100, maxRetries: 1, retryBaseDelay: 1 });
+  const text = await client.generateResponse('hi');
+
+  t.equal(text, 'second try', 'should retry after the timeout');
+  t.equal(fake.requests.length, 2, 'should have sent two requests');
+
+  fake.server.closeAllConnections();
+  await fake.close();
+  t.end();
+});
+
+test('timeout: streams are aborted when chunks stop arriving', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"content":"partial"}}]}\n\n');
+  });
+
+  const client = createClient(fake.url, { stream: true, requestTimeout: 150, maxRetries: 2 });
+  try {
+    await client.generate('hi', { onText: () => {} });
+    t.fail('should time out');
+  } catch (error) {
+    t.ok(/timed out after 0.15s/.test(error.message), 'should report the idle timeout');
+  }
+  t.equal(fake.requests.length, 1, 'should not retry once text was streamed');
+
+  fake.server.closeAllConnections();
+  await fake.close();
+  t.end();
+});
+
+test('cancel: an aborted signal stops the request without retry or fallback', async (t) => {
+  const fake = await startServer(() => {}); // never answers
+
+  const client = createClient(fake.url, { stream: false, maxRetries: 3 }, { MODEL: 'a/one,b/two' });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new CancelledError('Cancelled by SIGINT')), 50);
+
+  try {
+    await client.generate('hi', { signal: controller.signal });
+    t.fail('should be cancelled');
+  } catch (error) {
+    t.equal(error.name, 'CancelledError', 'should reject with the abort reason');
+  }
+  t.equal(fake.requests.length, 1, 'should neither retry nor fall back');
+
+  fake.server.closeAllConnections();
+  await fake.close();
+  t.end();
+});
+
+test('retry: parseRetryAfter handles seconds, ms and HTTP dates', (t) => {
+  t.equal(parseRetryAfter(new Headers({ 'retry-after': '2' })), 2000, 'delay-seconds');
+  t.equal(parseRetryAfter(new Headers({ 'retry-after-ms': '150' })), 150, 'retry-after-ms');
+  const date = parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 5000).toUTCString() }));
+  t.ok(date > 3000 && date <= 5000, 'HTTP date');
+  t.equal(parseRetryAfter(new Headers()), null, 'missing header');
+  t.end();
+});
+
+test('retry: Retry-After is capped at maxDelay', (t) => {
+  t.equal(getRetryDelay(0, { retryAfter: 2000 }, { maxDelay: 60000 }), 2000, 'short delays are honoured');
+  t.equal(getRetryDelay(0, { retryAfter: 86400000 }, { maxDelay: 60000 }), 60000, 'huge delays are capped');
+  t.end();
+});
+
+test('messages: a conversation array is sent as separate turns', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, promptCaching: false });
+  await client.generateResponse([
+    { role: 'user', content: 'task' },
+    { role: 'assistant', content: 'step 1' },
+    { role: 'user', content: 'eval output' }
+  ]);
+
+  t.deepEqual(fake.requests[0].body.messages.map(m => m.role), ['user', 'assistant', 'user'], 'should forward every turn');
+  t.equal(fake.requests[0].body.messages[2].content, 'eval output', 'should keep turn contents');
+
+  await fake.close();
+  t.end();
+});
+
+test('continuation: a response cut off by max tokens is continued and stitched', async (t) => {
+  const parts = ['=== FILENAME: a.js ===\nconst a', ' = 1;\n=== END: a.js ==='];
+  const fake = await startServer((req, res, count) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      choices: [{ message: { content: parts[count - 1] }, finish_reason: count === 1 ? 'length' : 'stop' }]
+    }));
+  });
+
+  const client = createClient(fake.url, { stream: false, promptCaching: false });
+  const rounds = [];
+  const result = await client.generate('task', { onContinue: (text, round) => rounds.push({ text, round }) });
+
+  t.equal(result.text, parts.join(''), 'should stitch the pieces into one response');
+  t.equal(result.continuations, 1, 'should report one continuation');
+  t.notOk(result.truncated, 'should no longer be truncated');
+  t.deepEqual(rounds, [{ text: parts[0], round: 1 }], 'should announce the continuation');
+
+  const followUp = fake.requests[1].body.messages;
+  t.deepEqual(followUp.map(m => m.role), ['user', 'assistant', 'user'], 'should send the partial answer back');
+  t.equal(followUp[1].content, parts[0], 'should include the truncated text');
+  t.ok(/cut off/.test(followUp[2].content), 'should ask the model to continue');
+
+  await fake.close();
+  t.end();
+});
+
+test('continuation: stops at maxContinuations and reports truncation', async (t) => {
+  const fake = await startServer((req, res) => {
+    sendSSE(res, [
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"more "}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"max_tokens"},"usage":{"output_tokens":2}}\n\n',
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ]);
+  });
+
+  const client = createClient(fake.url, { stream: true, provider: 'anthropic', maxContinuations: 2 }, { API_KEY: 'test-key' });
+  const chunks = [];
+  const result = await client.generate('task', { onText: chunk => chunks.push(chunk), onContinue: () => {} });
+
+  t.equal(fake.requests.length, 3, 'should make the initial request plus two continuations');
+  t.equal(result.text, 'more more more ', 'should stitch every piece');
+  t.equal(chunks.join(''), result.text, 'should stream continuations to the same callback');
+  t.ok(result.truncated, 'should report the response as still truncated');
+  t.equal(result.stopReason, 'max_tokens', 'should keep the last stop reason');
+
+  await fake.close();
+  t.end();
+});
+
+test('models: a failing model falls back to the next one in MODEL', async (t) => {
+  const fake = await startServer((req, res, count) => {
+    const body = fake.requests[count - 1].body;
+    if (body.model === 'cheap/model') {
+      res.writeHead(503);
+      res.end('unavailable');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: `from ${body.model}` } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, maxRetries: 0 }, { MODEL: 'cheap/model, strong/model' });
+  const result = await client.generate('hi');
+
+  t.deepEqual(client.models, ['cheap/model', 'strong/model'], 'should parse the model list');
+  t.equal(result.text, 'from strong/model', 'should answer from the fallback model');
+  t.equal(result.model, 'strong/model', 'should report the model that answered');
+  t.equal(client.model, 'cheap/model', 'failover should not change the active model');
+
+  t.equal(client.escalateModel(), 'strong/model', 'should escalate to the next model');
+  t.equal(client.escalateModel(), null, 'should stop at the end of the chain');
+  await client.generate('again');
+  t.deepEqual(fake.requests.map(r => r.body.model), ['cheap/model', 'strong/model', 'strong/model'],
+    'later requests should start from the escalated model');
+
+  await fake.close();
+  t.end();
+});
+
+test('models: the last model failing surfaces the error', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(400);
+    res.end('bad request');
+  });
+
+  const client = createClient(fake.url, { stream: false, maxRetries: 0 }, { MODEL: 'a/one,b/two' });
+  try {
+    await client.generate('hi');
+    t.fail('should throw');
+  } catch (error) {
+    t.equal(error.status, 400, 'should throw the last model\'s error');
+  }
+  t.equal(fake.requests.length, 2, 'should try each model once');
+
+  await fake.close();
+  t.end();
+});
+
+test('prompt caching: Anthropic gets cache_control on the stable prefix', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      content: [{ type: 'text', text: 'ok' }],
+      usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 900, cache_creation_input_tokens: 100 }
+    }));
+  });
+
+  const client = createClient(fake.url, { stream: false, promptCaching: true, provider: 'anthropic' }, { API_KEY: 'test-key' });
+
+  await client.generateResponse([
+    { role: 'user', content: [{ type: 'text', text: 'context', cache: true }, { type: 'text', text: 'task' }] },
+    { role: 'assistant', content: 'step 1' },
+    { role: 'user', content: 'eval output' }
+  ], { system: 'be helpful' });
+
+  const body = fake.requests[0].body;
+  t.equal(body.system, 'be helpful', 'should send the system prompt separately');
+  t.deepEqual(body.messages[0].content[0].cache_control, { type: 'ephemeral' }, 'context block should be a breakpoint');
+  t.notOk(body.messages[0].content[1].cache_control, 'task block should not be a breakpoint');
+  t.deepEqual(body.messages[2].content[0].cache_control, { type: 'ephemeral' }, 'latest turn should be a breakpoint');
+  t.equal(client.usage.totals.cacheReadTokens, 900, 'should accumulate cache reads');
+  t.equal(client.usage.totals.cacheWriteTokens, 100, 'should accumulate cache writes');
+
+  await fake.close();
+  t.end();
+});
+
+test('prompt caching: non-Anthropic OpenRouter models get plain strings', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      choices: [{ message: { content: 'ok' } }],
+      usage: { prompt_tokens: 100, completion_tokens: 5, prompt_tokens_details: { cached_tokens: 60 } }
+    }));
+  });
+
+  const client = createClient(fake.url, { stream: false, promptCaching: true }, { MODEL: 'openai/gpt-4o' });
+
+  await client.generateResponse([
+    { role: 'user', content: [{ type: 'text', text: 'context', cache: true }, { type: 'text', text: 'task' }] }
+  ], { system: 'be helpful' });
+
+  const body = fake.requests[0].body;
+  t.deepEqual(body.messages[0], { role: 'system', content: 'be helpful' }, 'system prompt becomes a system message');
+  t.equal(body.messages[1].content, 'context\n\ntask', 'blocks should be flattened');
+  t.equal(client.usage.totals.inputTokens, 40, 'cached tokens are not counted as fresh input');
+  t.equal(client.usage.totals.cacheReadTokens, 60, 'should read cached_tokens');
+
+  await fake.close();
+  t.end();
+});
+
+test('tools: Anthropic tool_use blocks round-trip as toolCalls', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      content: [
+        { type: 'text', text: 'Writing it.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'write_file', input: { path: 'a.js', content: 'x' } }
+      ],
+      stop_reason: 'tool_use'
+    }));
+  });
+
+  const client = createClient(fake.url, { stream: false, promptCaching: false, provider: 'anthropic' }, { API_KEY: 'test-key' });
+
+  const tools = [{ name: 'write_file', description: 'write', parameters: { type: 'object', properties: {} } }];
+  const result = await client.generate([
+    { role: 'user', content: 'task' },
+    { role: 'assistant', content: '', toolCalls: [{ id: 'toolu_0', name: 'read_file', input: { path: 'b.js' } }] },
+    { role: 'tool', toolCallId: 'toolu_0', content: 'contents of b' }
+  ], { tools });
+
+  t.deepEqual(result.toolCalls, [{ id: 'toolu_1', name: 'write_file', input: { path: 'a.js', content: 'x' } }], 'should parse tool_use');
+  t.equal(result.text, 'Writing it.', 'should keep the text blocks');
+  t.equal(result.stopReason, 'tool_use', 'should expose stop_reason');
+
+  const body = fake.requests[0].body;
+  t.equal(body.tools[0].input_schema.type, 'object', 'should send input_schema');
+  t.equal(body.messages[1].content[0].type, 'tool_use', 'assistant tool calls become tool_use blocks');
+  t.deepEqual(body.messages[2], {
+    role: 'user',
+    content: [{ type: 'tool_result', tool_use_id: 'toolu_0', content: 'contents of b' }]
+  }, 'tool results become a user turn');
+
+  await fake.close();
+  t.end();
+});
+
+test('thinking: Anthropic thinking blocks are kept out of the text', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      content: [
+        { type: 'thinking', thinking: 'Plan: write a.js', signature: 'sig-1' },
+        { type: 'text', text: '=== FILENAME: a.js ===\n' },
+        { type: 'text', text: 'x();\n=== END: a.js ===' }
+      ],
+      stop_reason: 'end_turn'
+    }));
+  });
+
+  const client = createClient(fake.url, { stream: false, provider: 'anthropic', thinkingBudget: 2048 }, { API_KEY: 'test-key' });
+  const result = await client.generate('task');
+  await client.generate('commit message', { useCommitModel: true });
+
+  t.equal(result.text, '=== FILENAME: a.js ===\nx();\n=== END: a.js ===', 'should join only the text blocks');
+  t.deepEqual(result.thinking, [{ type: 'thinking', thinking: 'Plan: write a.js', signature: 'sig-1' }], 'should return thinking separately');
+  t.deepEqual(fake.requests[0].body.thinking, { type: 'enabled', budget_tokens: 2048 }, 'should send the thinking budget');
+  t.notOk(fake.requests[1].body.thinking, 'commit message requests should not think');
+
+  await fake.close();
+  t.end();
+});
+
+test('thinking: streamed thinking and signatures round-trip with tool calls', async (t) => {
+  const fake = await startServer((req, res) => {
+    sendSSE(res, [
+      'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"thinking","thinking":""}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"thinking_delta","thinking":"Need to "}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"thinking_delta","thinking":"read b.js"}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"signature_delta","signature":"sig-2"}}\n\n',
+      'event: content_block_start\ndata: {"type":"content_block_start","index":1,"content_block":{"type":"text","text":""}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":1,"delta":{"type":"text_delta","text":"Reading."}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"}}\n\n'
+    ]);
+  });
+
+  const client = createClient(fake.url, { stream: true, provider: 'anthropic', thinkingBudget: 1024 }, { API_KEY: 'test-key' });
+  const thought = [];
+  const text = [];
+  const result = await client.generate('task', { onThinking: chunk => thought.push(chunk), onText: chunk => text.push(chunk) });
+
+  t.equal(thought.join(''), 'Need to read b.js', 'should stream thinking to onThinking');
+  t.equal(text.join(''), 'Reading.', 'should stream only text to onText');
+  t.deepEqual(result.thinking, [{ type: 'thinking', thinking: 'Need to read b.js', signature: 'sig-2' }], 'should keep the signature');
+
+  await client.generate([
+    { role: 'user', content: 'task' },
+    { role: 'assistant', content: '', thinking: result.thinking, toolCalls: [{ id: 'toolu_0', name: 'read_file', input: { path: 'b.js' } }] },
+    { role: 'tool', toolCallId: 'toolu_0', content: 'contents of b' }
+  ]);
+  t.deepEqual(fake.requests[1].body.messages[1].content.map(block => block.type), ['thinking', 'tool_use'],
+    'tool_use turns should start with their thinking blocks');
+
+  await fake.close();
+  t.end();
+});
+
+test('thinking: budget is validated and ignored by providers without support', (t) => {
+  t.throws(() => createClient('http://127.0.0.1:1', { provider: 'anthropic', thinkingBudget: 500 }, { API_KEY: 'k' }),
+    /at least 1024/, 'should reject a budget below the API minimum');
+  t.throws(() => createClient('http://127.0.0.1:1', { provider: 'anthropic', thinkingBudget: 70000 }, { API_KEY: 'k' }),
+    /below MAX_TOKENS/, 'should reject a budget that leaves no room for the answer');
+
+  const client = createClient('http://127.0.0.1:1', { thinkingBudget: 2048 });
+  t.equal(client.options.thinkingBudget, null, 'OpenRouter should ignore the budget');
+  t.end();
+});
+
+test('tools: OpenAI-style streamed tool_calls are reassembled', async (t) => {
+  const fake = await startServer((req, res) => {
+    sendSSE(res, [
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","function":{"name":"run_eval","arguments":""}}]}}]}\n\n',
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"script\\":"}}]}}]}\n\n',
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"exit 0\\"}"}}]}}]}\n\n',
+      'data: {"choices":[{"delta":{},"finish_reason":"tool_calls"}]}\n\n',
+      'data: [DONE]\n\n'
+    ]);
+  });
+
+  const client = createClient(fake.url, { stream: true, promptCaching: false });
+  const result = await client.generate([
+    { role: 'user', content: 'task' },
+    { role: 'assistant', content: null, toolCalls: [{ id: 'call_0', name: 'read_file', input: { path: 'b.js' } }] },
+    { role: 'tool', toolCallId: 'call_0', content: 'contents of b' }
+  ], { tools: [{ name: 'run_eval', description: 'eval', parameters: { type: 'object' } }] });
+
+  t.deepEqual(result.toolCalls, [{ id: 'call_1', name: 'run_eval', input: { script: 'exit 0' } }], 'should join argument fragments');
+  t.equal(result.stopReason, 'tool_calls', 'should expose finish_reason');
+
+  const body = fake.requests[0].body;
+  t.equal(body.tools[0].type, 'function', 'should send function tools');
+  t.equal(body.messages[1].tool_calls[0].function.arguments, '{"path":"b.js"}', 'assistant tool calls keep JSON arguments');
+  t.deepEqual(body.messages[2], { role: 'tool', tool_call_id: 'call_0', content: 'contents of b' }, 'tool results use the tool role');
+
+  await fake.close();
+  t.end();
+});
+
+test('tools: malformed tool arguments go back to the model as an error', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{
+      message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'write_file', arguments: '{"path": "a.js", content: }' } }] },
+      finish_reason: 'tool_calls'
+    }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, promptCaching: false });
+  const result = await client.generate('task', { tools: [{ name: 'write_file', description: 'write', parameters: { type: 'object' } }] });
+  const [call] = result.toolCalls;
+  t.ok(call.error && call.error.startsWith('Invalid JSON in the write_file arguments'), 'should not throw');
+  t.deepEqual(call.input, {}, 'input stays an object so the turn can be sent back');
+
+  const outcome = await executeToolCall(call, { logOutput: false });
+  t.equal(outcome.isError, true, 'the tool result is an error');
+  t.ok(outcome.content.includes('call the tool again with valid JSON'), 'telling the model to retry');
+
+  await fake.close();
+  t.end();
+});
+
+test('providers: keyless OpenAI-compatible server (vLLM, llama.cpp, Ollama)', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'local answer' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false }, { PROVIDER: 'openai', MODEL: 'qwen2.5-coder', OPENROUTER_API_KEY: '' });
+
+  t.equal(await client.generateResponse('hi'), 'local answer', 'should talk to the local server');
+  t.notOk(fake.requests[0].headers.authorization, 'should not send an Authorization header without a key');
+  t.notOk(fake.requests[0].headers['x-title'], 'should not send OpenRouter headers');
+  t.equal(fake.requests[0].body.model, 'qwen2.5-coder', 'should send the model name unchanged');
+
+  t.throws(() => createClient(fake.url, {}, { PROVIDER: 'openai', OPENROUTER_API_KEY: '' }), /MODEL is required/, 'openai provider needs a MODEL');
+
+  await fake.close();
+  t.end();
+});
+
+test('providers: resolution order and API_URL override', (t) => {
+  const env = { ANTHROPIC_API_KEY: 'a', OPENROUTER_API_KEY: 'o' };
+  t.equal(resolveProvider(env).name, 'anthropic', 'Anthropic key wins without PROVIDER');
+  t.equal(resolveProvider({ ...env, PROVIDER: 'openrouter' }).name, 'openrouter', 'PROVIDER overrides key detection');
+  t.equal(resolveProvider({ API_URL: 'http://localhost:11434/v1/chat/completions' }).name, 'openai', 'bare API_URL means a local server');
+  t.throws(() => resolveProvider({}), /API key required/, 'nothing configured');
+  t.throws(() => resolveProvider({ PROVIDER: 'nope' }), /Unknown provider/, 'unknown provider');
+
+  const client = createClient('http://proxy.local/v1/messages', { stream: false }, { ANTHROPIC_API_KEY: 'a' });
+  t.equal(client.provider.name, 'anthropic', 'should pick Anthropic');
+  t.equal(client.apiUrl, 'http://proxy.local/v1/messages', 'API_URL should no longer be ignored for Anthropic');
+  t.end();
+});
+
+test('providers: custom adapter module', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ output: 'custom answer', tokens: { in: 3, out: 4 } }));
+  });
+
+  const modulePath = path.join(os.tmpdir(), `berrry-adapter-${Date.now()}.js`);
+  fs.writeFileSync(modulePath, `module.exports = {
+    defaultModel: 'house-model',
+    buildRequest: ({ apiKey, model, messages }) => ({
+      headers: { 'Content-Type': 'application/json', 'X-House-Token': apiKey },
+      body: { model, prompt: messages.map(m => m.content).join('\\n') }
+    }),
+    parseResponse: (data) => ({
+      text: data.output,
+      usage: { inputTokens: data.tokens.in, outputTokens: data.tokens.out, cacheReadTokens: 0, cacheWriteTokens: 0 }
+    })
+  };`);
+
+  const client = createClient(fake.url, { stream: true }, { PROVIDER: 'custom', PROVIDER_MODULE: modulePath, API_KEY: 'house-key' });
+  t.equal(await client.generateResponse('hi'), 'custom answer', 'should use the adapter response parser');
+  t.equal(fake.requests[0].headers['x-house-token'], 'house-key', 'should use the adapter headers');
+  t.deepEqual(fake.requests[0].body, { model: 'house-model', prompt: 'hi' }, 'should use the adapter body');
+  t.equal(client.options.stream, false, 'adapters without a stream reader disable streaming');
+  t.equal(client.usage.totals.outputTokens, 4, 'should record adapter usage');
+
+  fs.unlinkSync(modulePath);
+  await fake.close();
+  t.end();
+});
+
+test('budget: an exhausted budget stops steps but not the commit message', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'Add feature' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, maxCost: 0.01 });
+  client.usage.totals.cost = 1;
+  try {
+    await client.generateResponse('next step');
+    t.fail('should refuse another step');
+  } catch (error) {
+    t.equal(error.name, 'BudgetExceededError', 'steps hit the budget');
+  }
+  t.equal(await client.generateResponse('commit message', { useCommitModel: true }), 'Add feature', 'the commit model still answers');
+  t.equal(fake.requests.length, 1, 'only the commit message was requested');
+
+  await fake.close();
+  t.end();
+});
+
+test('budget: a budget with responses that carry no usage is warned about once', async (t) => {
+  const fake = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }));
+  });
+
+  const client = createClient(fake.url, { stream: false, maxTokensTotal: 1000 });
+  const logged = [];
+  const log = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    await client.generateResponse('one');
+    await client.generateResponse('two');
+  } finally {
+    console.log = log;
+  }
+  t.equal(logged.filter(line => line.includes('returned no token usage')).length, 1, 'should warn once');
+
+  await fake.close();
+  t.end();
+});
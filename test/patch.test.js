@@ -0,0 +1,121 @@
+const test = require('tape');
+const { parsePatch, applyHunks } = require('../src/patch.js');
+
+const FILE = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n') + '\n';
+
+function hunksOf(diff) {
+  return parsePatch(diff)[0].hunks;
+}
+
+test('patch: parses git diffs with new, deleted and renamed files', (t) => {
+  const patches = parsePatch(`diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,3 @@
+ const a = 1;
+-const b = 2;
++const b = 3;
+ module.exports = { a, b };
+
+diff --git a/lib/old.js b/lib/new.js
+similarity index 100%
+rename from lib/old.js
+rename to lib/new.js
+diff --git a/tmp.txt b/tmp.txt
+deleted file mode 100644
+--- a/tmp.txt
++++ /dev/null
+@@ -1 +0,0 @@
+-scratch
+diff --git a/docs/notes.md b/docs/notes.md
+new file mode 100644
+--- /dev/null
++++ b/docs/notes.md
+@@ -0,0 +1,2 @@
++# Notes
++
+\\ No newline at end of file`);
+
+  t.deepEqual(patches.map(p => [p.type, p.oldPath, p.newPath]), [
+    ['modify', 'src/app.js', 'src/app.js'],
+    ['rename', 'lib/old.js', 'lib/new.js'],
+    ['delete', 'tmp.txt', null],
+    ['add', null, 'docs/notes.md']
+  ], 'should classify every file');
+  t.deepEqual(patches[0].hunks[0].lines.map(l => l.op + l.text), [
+    ' const a = 1;', '-const b = 2;', '+const b = 3;', ' module.exports = { a, b };'
+  ], 'should drop the blank separator after a hunk');
+  t.equal(patches[1].hunks.length, 0, 'a pure rename has no hunks');
+  t.equal(patches[3].hunks[0].lines.length, 2, 'should skip "no newline" markers');
+
+  const plain = parsePatch('--- x.js.orig\n+++ x.js\n@@ -1 +1 @@\n-a\n+b\n--- y.js\n+++ y.js\n@@ -1 +1 @@\n-c\n+d');
+  t.deepEqual(plain.map(p => [p.type, p.oldPath, p.newPath]), [
+    ['modify', 'x.js', 'x.js'],
+    ['modify', 'y.js', 'y.js']
+  ], 'plain diffs patch the new name and split on file headers');
+  t.end();
+});
+
+test('patch: applies hunks at the stated line or the nearest offset', (t) => {
+  const hunks = hunksOf(`--- a/f
++++ b/f
+@@ -2,3 +2,3 @@
+ two
+-three
++THREE
+ four
+@@ -8,3 +8,4 @@
+ eight
+ nine
++nine and a half
+ ten`);
+
+  const exact = applyHunks(FILE, hunks);
+  t.equal(exact.content, FILE.replace('three', 'THREE').replace('nine\n', 'nine\nnine and a half\n'), 'should apply both hunks');
+  t.deepEqual([exact.applied, exact.adjusted, exact.rejected.length], [2, 0, 0], 'no offsets needed');
+
+  const shifted = applyHunks('header\nheader\n' + FILE, hunks);
+  t.equal(shifted.content, 'header\nheader\n' + exact.content, 'should find the context two lines later');
+  t.equal(shifted.adjusted, 1, 'later hunks inherit the offset of earlier ones');
+
+  const crlf = applyHunks(FILE.replace(/\n/g, '\r\n'), hunks);
+  t.equal(crlf.content, exact.content.replace(/\n/g, '\r\n'), 'should keep CRLF line endings');
+  t.end();
+});
+
+test('patch: fuzz, whitespace tolerance and rejected hunks', (t) => {
+  const stale = hunksOf(`--- a/f
++++ b/f
+@@ -3,5 +3,5 @@
+ three (renamed)
+ four
+-five
++FIVE
+ six
+ seven (renamed)`);
+  const fuzzy = applyHunks(FILE, stale);
+  t.ok(fuzzy.content.includes('four\nFIVE\nsix'), 'should ignore stale outer context lines');
+  t.equal(fuzzy.adjusted, 1, 'fuzzed hunks count as adjusted');
+  t.equal(applyHunks(FILE, stale, { fuzz: 0 }).rejected.length, 1, 'fuzz 0 requires all context');
+
+  const indented = applyHunks('if (x) {\n    a();\n    b();\n}\n', hunksOf('--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n if (x) {\n-  a();\n+  c();\n   b();'));
+  t.equal(indented.content, 'if (x) {\n  c();\n    b();\n}\n', 'whitespace-tolerant matches keep the file\'s context lines');
+
+  const mixed = applyHunks(FILE, hunksOf(`--- a/f
++++ b/f
+@@ -1,2 +1,2 @@
+-one
++ONE
+ two
+@@ -5,2 +5,2 @@
+-missing
++gone
+ six`));
+  t.equal(mixed.applied, 1, 'matching hunks still apply');
+  t.deepEqual(mixed.rejected.map(r => r.index), [1], 'should report the rejected hunk by index');
+  t.ok(mixed.content.startsWith('ONE\ntwo'), 'content has the applied hunk');
+
+  t.equal(applyHunks('', hunksOf('--- /dev/null\n+++ b/n\n@@ -0,0 +1,2 @@\n+a\n+b')).content, 'a\nb\n', 'new files end with a newline');
+  t.end();
+});
@@ -0,0 +1,98 @@
+const test = require('tape');
+const fs = require('fs');
+const { execSync } = require('child_process');
+const { globToRegExp, loadPathRules, writeBlockReason } = require('../src/path-rules.js');
+const { getRepoContext } = require('../src/context-generator.js');
+const { parseAndWriteFiles } = require('../src/file-processor.js');
+const { executeToolCall } = require('../src/tools.js');
+const { inRepo } = require('./helpers.js');
+
+test('path rules: globs', (t) => {
+  const matches = (glob, file) => globToRegExp(glob).test(file);
+
+  t.ok(matches('.github/workflows/**', '.github/workflows/ci.yml'), '** matches files below');
+  t.ok(matches('.github/workflows/**', '.github/workflows/nested/a.yml'), '** matches nested files');
+  t.notOk(matches('.github/workflows/**', '.github/dependabot.yml'), 'anchored to its directory');
+  t.ok(matches('migrations/', 'migrations/001.sql'), 'a trailing slash covers the directory');
+  t.ok(matches('LICENSE', 'LICENSE') && matches('LICENSE', 'vendor/lib/LICENSE'), 'bare names match at any depth');
+  t.notOk(matches('LICENSE', 'LICENSE.md'), 'names match whole');
+  t.ok(matches('*.pem', 'certs/server.pem'), '* matches names at any depth');
+  t.notOk(matches('src/*.js', 'src/lib/a.js'), '* does not cross directories');
+  t.ok(matches('src/**/*.test.js', 'src/a.test.js') && matches('src/**/*.test.js', 'src/x/y/a.test.js'), '**/ matches zero or more directories');
+  t.ok(matches('.env{,.*}', '.env') && matches('.env{,.*}', '.env.local'), 'braces with an empty alternative');
+  t.ok(matches('config/{secrets,keys}.json', 'config/keys.json'), 'brace alternatives');
+  t.notOk(matches('config/{secrets,keys}.json', 'config/other.json'), 'only the listed alternatives');
+  t.ok(matches('file?.txt', 'file1.txt') && !matches('file?.txt', 'file10.txt'), '? matches one character');
+  t.end();
+});
+
+test('path rules: .berrryignore, protect and allowWrite', async (t) => {
+  await inRepo(() => {
+    t.deepEqual(loadPathRules(), { protect: [], allowWrite: null }, 'no rules without the files');
+
+    fs.writeFileSync('.berrryignore', '# CI config\n.github/workflows/**\n\nLICENSE\n');
+    fs.writeFileSync('.berrry.json', JSON.stringify({ protect: ['migrations/**'], allowWrite: ['src/**', 'test/**', 'LICENSE'] }));
+    const rules = loadPathRules();
+
+    t.equal(writeBlockReason(rules, 'src/app.js'), null, 'allowed paths are writable');
+    t.equal(writeBlockReason(rules, '.github/workflows/ci.yml'), 'path is protected by ".github/workflows/**" in .berrryignore', 'names the ignore file rule');
+    t.equal(writeBlockReason(rules, 'migrations/001.sql'), 'path is protected by "migrations/**" in .berrry.json', 'names the config rule');
+    t.equal(writeBlockReason(rules, 'LICENSE'), 'path is protected by "LICENSE" in .berrryignore', 'protection wins over allowWrite');
+    t.equal(writeBlockReason(rules, 'docs/x.md'), 'path is not in the allowWrite list of .berrry.json', 'allowWrite limits everything else');
+    t.ok(writeBlockReason({ protect: [], allowWrite: null }, '.berrryignore'), 'rule files are never writable');
+
+    fs.writeFileSync('.berrry.json', '{"protect": "x"}');
+    t.throws(() => loadPathRules(), /"protect" must be an array/, 'rejects malformed config');
+    fs.writeFileSync('.berrry.json', '{');
+    t.throws(() => loadPathRules(), /Invalid \.berrry\.json/, 'rejects invalid JSON');
+  });
+  t.end();
+});
+
+test('path rules: enforced on writes and applied to the repo context', async (t) => {
+  await inRepo(async () => {
+    execSync('git init -q');
+    fs.mkdirSync('.github/workflows', { recursive: true });
+    fs.writeFileSync('.github/workflows/ci.yml', 'on: push\n');
+    fs.writeFileSync('.env.production', 'TOKEN=secret\n');
+    fs.writeFileSync('README.md', '# Project\n');
+    fs.writeFileSync('.berrryignore', '.github/workflows/**\n.env*\nREADME.md\n');
+    execSync('git add .');
+
+    const report = {};
+    const written = await parseAndWriteFiles(`=== FILENAME: .github/workflows/ci.yml ===
+on: pull_request
+=== END: .github/workflows/ci.yml ===
+=== DELETE: .env.production ===
+=== FILENAME: .berrryignore ===
+# nothing protected
+=== END: .berrryignore ===
+=== FILENAME: src/app.js ===
+ok
+=== END: src/app.js ===`, { logOutput: false, report });
+
+    t.deepEqual(written, ['src/app.js'], 'only unprotected files are written');
+    t.equal(fs.readFileSync('.github/workflows/ci.yml', 'utf8'), 'on: push\n', 'protected files are untouched');
+    t.ok(fs.existsSync('.env.production'), 'protected files are not deleted');
+    t.deepEqual(report.errors, [
+      'DELETE .env.production: Refusing to touch ".env.production": path is protected by ".env*" in .berrryignore',
+      'Refusing to touch ".github/workflows/ci.yml": path is protected by ".github/workflows/**" in .berrryignore',
+      'Refusing to touch ".berrryignore": .berrryignore holds the path rules and cannot be changed by the agent'
+    ], 'blocked writes are reported to the model');
+
+    const read = await executeToolCall({ name: 'read_file', input: { path: '.env.production' } }, { logOutput: false });
+    t.deepEqual(read, {
+      content: 'Error: Refusing to touch ".env.production": path is protected by ".env*" in .berrryignore',
+      isError: true
+    }, 'protected files cannot be read through read_file either');
+    const allowed = await executeToolCall({ name: 'read_file', input: { path: 'src/app.js' } }, { logOutput: false });
+    t.equal(allowed.content, 'ok\n', 'other files are read as usual');
+
+    const context = await getRepoContext();
+    t.notOk(context.includes('TOKEN=secret') || context.includes('.env.production'), 'protected files stay out of the context');
+    t.notOk(context.includes('=== README.md ==='), 'protected core files are skipped');
+    t.ok(context.includes('.berrryignore'), 'other tracked files are listed');
+    t.ok(context.includes('=== Write Restrictions ===\nprotected: .github/workflows/**'), 'the model is told what it cannot change');
+  });
+  t.end();
+});
@@ -0,0 +1,160 @@
+const test = require('tape');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, spawn } = require('child_process');
+const { CassettePlayer, CassetteRecorder } = require('../src/cassette.js');
+
+const SCRIPT = path.join(__dirname, '..', 'bin', 'berrry');
+
+const STEP_RESPONSES = [
+  'Creating the module.\n=== FILENAME: greet.js ===\nmodule.exports = () => "hi";\n=== END: greet.js ===\n\n' +
+    '=== FILENAME: eval.sh ===\nnode -e "process.exit(require(\'./greet.js\')() === \'hello\' ? 0 : 1)"\n=== END: eval.sh ===',
+  'Fixing the greeting.\n=== FILENAME: greet.js ===\nmodule.exports = () => "hello";\n=== END: greet.js ===\n\n' +
+    '=== FILENAME: eval.sh ===\nnode -e "process.exit(require(\'./greet.js\')() === \'hello\' ? 0 : 1)"\n=== END: eval.sh ===',
+  'Add greet module'
+];
+
+function createRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-replay-'));
+  execSync('git init -q && git config user.email test@example.com && git config user.name Test', { cwd: dir });
+  fs.writeFileSync(path.join(dir, 'README.md'), '# Replay fixture\n');
+  execSync('git add . && git commit -q -m "Initial commit"', { cwd: dir });
+  return dir;
+}
+
+function runBerrry(cwd, env) {
+  return new Promise((resolve) => {
+    const child = spawn('node', [SCRIPT, '-p', 'Add a greet module'], {
+      cwd,
+      env: { ...cleanEnv(), YOLO: 'true', STREAM: 'false', ...env }
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('close', code => resolve({ code, output }));
+  });
+}
+
+function cleanEnv() {
+  const env = { ...process.env };
+  for (const name of ['ANTHROPIC_API_KEY', 'OPENROUTER_API_KEY', 'OPENAI_API_KEY', 'API_KEY', 'API_URL',
+    'PROVIDER', 'MODEL', 'COMMIT_MODEL', 'BERRRY_RECORD', 'BERRRY_REPLAY', 'GITHUB_EVENT_PATH']) {
+    delete env[name];
+  }
+  return env;
+}
+
+function repoState(dir) {
+  return {
+    greet: fs.readFileSync(path.join(dir, 'greet.js'), 'utf8'),
+    subject: execSync('git log -1 --format=%s', { cwd: dir, encoding: 'utf8' }).trim()
+  };
+}
+
+test('cassette: a recorded multi-step run replays offline without an API key', async (t) => {
+  let served = 0;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const content = STEP_RESPONSES[served++];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 5 } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const cassette = path.join(os.tmpdir(), `berrry-cassette-${Date.now()}.json`);
+  const recordDir = createRepo();
+  const recorded = await runBerrry(recordDir, {
+    OPENROUTER_API_KEY: 'test-key',
+    API_URL: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+    BERRRY_RECORD: cassette
+  });
+  await new Promise(resolve => server.close(resolve));
+
+  t.equal(recorded.code, 0, 'recording run should succeed');
+  t.equal(served, 3, 'two steps plus the commit message should hit the server');
+  const saved = JSON.parse(fs.readFileSync(cassette, 'utf8'));
+  t.equal(saved.interactions.length, 3, 'cassette should hold every call');
+  t.equal(saved.provider, 'openrouter', 'cassette should remember the provider');
+
+  const replayDir = createRepo();
+  const replayed = await runBerrry(replayDir, { BERRRY_REPLAY: cassette });
+
+  t.equal(replayed.code, 0, 'replay should succeed with no key and no server');
+  t.deepEqual(repoState(replayDir), repoState(recordDir), 'replay should reproduce files and commit message');
+  t.deepEqual(repoState(replayDir), { greet: 'module.exports = () => "hello";\n', subject: 'Add greet module' }, 'two steps were replayed');
+
+  for (const dir of [recordDir, replayDir]) fs.rmSync(dir, { recursive: true, force: true });
+  fs.unlinkSync(cassette);
+  t.end();
+});
+
+test('tools: failed run_eval calls escalate through the MODEL chain', async (t) => {
+  const models = [];
+  const runEval = id => ({
+    choices: [{
+      message: { content: null, tool_calls: [{ id, type: 'function', function: { name: 'run_eval', arguments: JSON.stringify({ script: 'exit 1' }) } }] },
+      finish_reason: 'tool_calls'
+    }],
+    usage: { prompt_tokens: 10, completion_tokens: 5 }
+  });
+  const responses = [
+    runEval('call_1'),
+    runEval('call_2'),
+    { choices: [{ message: { content: 'Giving up.' }, finish_reason: 'stop' }], usage: { prompt_tokens: 10, completion_tokens: 5 } }
+  ];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      models.push(JSON.parse(body).model);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responses[models.length - 1]));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const dir = createRepo();
+  const run = await runBerrry(dir, {
+    OPENROUTER_API_KEY: 'test-key',
+    API_URL: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+    MODEL: 'cheap/model,strong/model',
+    TOOL_MODE: 'true',
+    ESCALATE_AFTER: '2'
+  });
+  await new Promise(resolve => server.close(resolve));
+
+  t.equal(run.code, 0, 'the run should succeed');
+  t.deepEqual(models, ['cheap/model', 'cheap/model', 'strong/model'], 'two failed run_evals move on to the next model');
+  t.ok(run.output.includes('⬆️ 2 failed evals in a row - escalating to strong/model'), 'the escalation is logged');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  t.end();
+});
+
+test('cassette: hash, order and auto matching', (t) => {
+  const file = path.join(os.tmpdir(), `berrry-cassette-unit-${Date.now()}.json`);
+  const recorder = new CassetteRecorder(file, { provider: 'anthropic' });
+  const first = { model: 'm', system: null, tools: null, messages: [{ role: 'user', content: 'one' }] };
+  const second = { model: 'm', system: null, tools: null, messages: [{ role: 'user', content: 'two' }] };
+  recorder.record(first, { text: 'first' });
+  recorder.record(second, { text: 'second' });
+
+  const byHash = new CassettePlayer(file, { match: 'hash' });
+  t.equal(byHash.next(second).text, 'second', 'hash matching ignores order');
+  t.throws(() => byHash.next({ ...first, model: 'other' }), /no matching response/, 'hash mode rejects unknown requests');
+
+  const byOrder = new CassettePlayer(file, { match: 'order' });
+  t.equal(byOrder.next(second).text, 'first', 'order matching ignores content');
+
+  const auto = new CassettePlayer(file);
+  t.equal(auto.next({ ...first, model: 'changed' }).text, 'first', 'auto falls back to order');
+  t.equal(auto.next(second).text, 'second', 'auto uses hashes when they match');
+  t.throws(() => auto.next(first), /no remaining response/, 'exhausted cassette');
+
+  fs.unlinkSync(file);
+  t.end();
+});
@@ -0,0 +1,45 @@
+const test = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveRepoPath, UnsafePathError } = require('../src/sandbox.js');
+
+async function rejection(filePath, root) {
+  try {
+    await resolveRepoPath(filePath, root);
+    return null;
+  } catch (error) {
+    return error instanceof UnsafePathError ? error.reason : error;
+  }
+}
+
+test('sandbox: confines paths to the repository root', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-sandbox-'));
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-outside-'));
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.mkdirSync(path.join(root, '.git', 'hooks'), { recursive: true });
+  fs.symlinkSync(outside, path.join(root, 'escape'));
+  fs.symlinkSync(path.join(root, '.git', 'hooks'), path.join(root, 'hooks'));
+  fs.symlinkSync(path.join(root, 'src'), path.join(root, 'lib'));
+  fs.symlinkSync(path.join(outside, 'secret'), path.join(root, 'dangling'));
+
+  t.equal(await resolveRepoPath('src/new/file.js', root), path.join(root, 'src', 'new', 'file.js'), 'new nested files are allowed');
+  t.equal(await resolveRepoPath('./src/../README.md', root), path.join(root, 'README.md'), 'paths are normalized');
+  t.equal(await resolveRepoPath('lib/a.js', root), path.join(root, 'lib', 'a.js'), 'symlinks within the repository are allowed');
+  t.equal(await resolveRepoPath('.github/workflows/ci.yml', root), path.join(root, '.github', 'workflows', 'ci.yml'), 'dot directories other than .git are allowed');
+
+  t.equal(await rejection('../../etc/x', root), 'path is outside the repository', 'rejects .. escapes');
+  t.equal(await rejection('src/../../x', root), 'path is outside the repository', 'rejects escapes after normalizing');
+  t.equal(await rejection('/etc/passwd', root), 'absolute paths are not allowed', 'rejects absolute paths');
+  t.equal(await rejection('.git/hooks/pre-commit', root), 'writing inside .git is not allowed', 'rejects .git');
+  t.equal(await rejection('sub/.GIT/config', root), 'writing inside .git is not allowed', 'rejects nested .git in any case');
+  t.equal(await rejection('escape/x.js', root), 'path goes through a symlink that points outside the repository', 'rejects symlink escapes');
+  t.equal(await rejection('hooks/pre-commit', root), 'path goes through a symlink into .git', 'rejects symlinks into .git');
+  t.equal(await rejection('dangling', root), 'path goes through a dangling symlink', 'rejects dangling symlinks');
+  t.equal(await rejection('', root), 'empty path', 'rejects empty paths');
+  t.equal(await rejection('.', root), 'path is outside the repository', 'rejects the root itself');
+
+  fs.rmSync(root, { recursive: true, force: true });
+  fs.rmSync(outside, { recursive: true, force: true });
+  t.end();
+});
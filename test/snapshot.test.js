@@ -0,0 +1,123 @@
+const test = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnapshotStore, describeRollback } = require('../src/snapshot.js');
+const { parseAndWriteFiles } = require('../src/file-processor.js');
+
+function createTree() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-snap-'));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-snap-store-'));
+  fs.writeFileSync(path.join(root, 'a.txt'), 'a1');
+  fs.writeFileSync(path.join(root, 'run.sh'), 'echo 1', { mode: 0o755 });
+  return { root, dir, read: file => fs.readFileSync(path.join(root, file), 'utf8'), exists: file => fs.existsSync(path.join(root, file)) };
+}
+
+test('snapshot: rolls back created, modified and deleted files one step at a time', (t) => {
+  const tree = createTree();
+  const store = new SnapshotStore({ root: tree.root, dir: tree.dir });
+
+  store.beginStep(1);
+  store.save('a.txt');
+  fs.writeFileSync(path.join(tree.root, 'a.txt'), 'a2');
+  store.save('a.txt');
+  fs.writeFileSync(path.join(tree.root, 'a.txt'), 'a3');
+
+  store.beginStep(2);
+  store.save('run.sh');
+  fs.unlinkSync(path.join(tree.root, 'run.sh'));
+  store.save('src/new/b.txt');
+  fs.mkdirSync(path.join(tree.root, 'src', 'new'), { recursive: true });
+  fs.writeFileSync(path.join(tree.root, 'src', 'new', 'b.txt'), 'b');
+
+  store.beginStep(3);
+
+  // A fresh store (berrry --rollback) reads the manifest left by the run
+  const later = new SnapshotStore({ root: tree.root, dir: tree.dir });
+  const result = later.rollback();
+  t.deepEqual(result, { step: 2, restored: ['run.sh'], removed: [path.join('src', 'new', 'b.txt')] }, 'should skip the empty step and undo step 2');
+  t.equal(describeRollback(result), `Rolled back step 2: restored run.sh; removed ${path.join('src', 'new', 'b.txt')}`, 'should describe the rollback');
+  t.equal(tree.read('run.sh'), 'echo 1', 'deleted files come back');
+  t.equal(fs.statSync(path.join(tree.root, 'run.sh')).mode & 0o777, 0o755, 'with their mode');
+  t.notOk(tree.exists('src'), 'created files and their new directories are removed');
+  t.equal(tree.read('a.txt'), 'a3', 'earlier steps are untouched');
+
+  t.equal(later.rollback().step, 1, 'a second rollback goes one step further back');
+  t.equal(tree.read('a.txt'), 'a1', 'restores the state before the first change in the step');
+  t.equal(later.rollback(), null, 'nothing left to roll back');
+
+  fs.rmSync(tree.root, { recursive: true, force: true });
+  fs.rmSync(tree.dir, { recursive: true, force: true });
+  t.end();
+});
+
+test('snapshot: ROLLBACK directive undoes the previous step before applying new files', async (t) => {
+  const tree = createTree();
+  const cwd = process.cwd();
+  process.chdir(tree.root);
+  const store = new SnapshotStore({ root: tree.root, dir: tree.dir });
+
+  try {
+    store.beginStep(1);
+    await parseAndWriteFiles('=== FILENAME: a.txt ===\nbroken\n=== END: a.txt ===\n=== DELETE: run.sh ===', { logOutput: false, snapshots: store });
+    t.equal(tree.read('a.txt'), 'broken', 'step 1 wrote the file');
+
+    store.beginStep(2);
+    const report = {};
+    const written = await parseAndWriteFiles('=== ROLLBACK ===\n=== FILENAME: c.txt ===\nc\n=== END: c.txt ===', { logOutput: false, report, snapshots: store });
+
+    t.equal(tree.read('a.txt'), 'a1', 'ROLLBACK restores modified files');
+    t.equal(tree.read('run.sh'), 'echo 1', 'ROLLBACK restores deleted files');
+    t.equal(tree.read('c.txt'), 'c\n', 'files in the same response are applied afterwards');
+    t.deepEqual(written, ['run.sh', 'a.txt', 'c.txt'], 'restored files count as changed');
+    t.deepEqual(report.rolledBack, ['Rolled back step 1: restored run.sh, a.txt'], 'should report the rollback');
+
+    store.beginStep(3);
+    store.rollback();
+    t.notOk(tree.exists('c.txt'), 'the rolling-back step can itself be rolled back');
+
+    const empty = {};
+    await parseAndWriteFiles('=== ROLLBACK ===', { logOutput: false, report: empty, snapshots: store });
+    t.deepEqual(empty.errors, ['ROLLBACK: there is no earlier step to roll back'], 'should report when nothing is left');
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(tree.root, { recursive: true, force: true });
+    fs.rmSync(tree.dir, { recursive: true, force: true });
+  }
+  t.end();
+});
+
+test('snapshot: refuses a manifest that points outside the repository', (t) => {
+  const tree = createTree();
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-snap-outside-'));
+  fs.writeFileSync(path.join(outside, 'victim.txt'), 'keep');
+  fs.writeFileSync(path.join(tree.dir, 'manifest.json'), JSON.stringify({
+    root: tree.root,
+    steps: [{ step: 1, files: [{ path: path.join(outside, 'victim.txt'), existed: false }] }]
+  }));
+
+  try {
+    const store = new SnapshotStore({ root: tree.root, dir: tree.dir });
+    t.throws(() => store.rollback(), /points outside the repository/, 'should refuse to roll back');
+    t.equal(fs.readFileSync(path.join(outside, 'victim.txt'), 'utf8'), 'keep', 'the outside file is untouched');
+
+    const other = new SnapshotStore({ root: outside, dir: tree.dir });
+    t.equal(other.rollback(), null, 'a manifest written for another root is ignored');
+  } finally {
+    fs.rmSync(outside, { recursive: true, force: true });
+    fs.rmSync(tree.root, { recursive: true, force: true });
+    fs.rmSync(tree.dir, { recursive: true, force: true });
+  }
+  t.end();
+});
+
+test('snapshot: the default store lives in a private directory', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-snap-'));
+  const store = new SnapshotStore({ root });
+  store.beginStep(1);
+  t.equal(fs.statSync(path.dirname(store.dir)).mode & 0o777, 0o700, 'the per-user directory is 0700');
+  t.equal(fs.statSync(store.dir).mode & 0o777, 0o700, 'the repository directory is 0700');
+  store.reset();
+  fs.rmSync(root, { recursive: true, force: true });
+  t.end();
+});
@@ -0,0 +1,80 @@
+const test = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { estimateTokens, getContextWindow, fitToBudget, DEFAULT_CONTEXT_WINDOW } = require('../src/tokens.js');
+const { getRepoContext } = require('../src/context-generator.js');
+
+test('tokens: estimates and context windows', (t) => {
+  t.equal(estimateTokens(''), 0, 'empty text has no tokens');
+  t.equal(estimateTokens('x'.repeat(350)), 100, 'should estimate 3.5 characters per token');
+
+  t.equal(getContextWindow('anthropic/claude-sonnet-4', ''), 200000, 'should match by prefix without the provider');
+  t.equal(getContextWindow('openai/gpt-4o-mini', ''), 128000, 'should match the longest known prefix');
+  t.equal(getContextWindow('my-local-model', ''), DEFAULT_CONTEXT_WINDOW, 'unknown models get the default');
+  t.equal(getContextWindow('anthropic/claude-sonnet-4', '50000'), 50000, 'CONTEXT_WINDOW overrides the table');
+  t.end();
+});
+
+test('tokens: fitToBudget drops lockfiles before truncating', (t) => {
+  const sections = [
+    { name: 'README.md', content: 'r'.repeat(700) },
+    { name: 'package-lock.json', content: 'l'.repeat(3500), lowValue: true },
+    { name: 'files', content: 'a.js\nb.js', fixed: true }
+  ];
+
+  const roomy = fitToBudget(sections, 10000);
+  t.deepEqual(roomy.trimmed, [], 'nothing is trimmed within budget');
+
+  const tight = fitToBudget(sections, 500);
+  t.deepEqual(tight.trimmed, [{ name: 'package-lock.json', action: 'dropped', from: 1000, to: 0 }], 'should drop the lockfile first');
+  t.equal(tight.sections[0].content, sections[0].content, 'should keep other files whole when that is enough');
+  t.end();
+});
+
+test('tokens: fitToBudget truncates the largest sections to a shared cap', (t) => {
+  const big = Array.from({ length: 400 }, (_, i) => `line ${i} of the big file`).join('\n');
+  const sections = [
+    { name: 'small.md', content: 's'.repeat(350) },
+    { name: 'big.js', content: big },
+    { name: 'files', content: 'f'.repeat(3500), fixed: true }
+  ];
+
+  const result = fitToBudget(sections, 1000 + 100 + 400);
+  t.equal(result.sections[0].content, sections[0].content, 'small sections stay whole');
+  t.equal(result.sections[2].content, sections[2].content, 'fixed sections are never touched');
+  t.equal(result.trimmed.length, 1, 'only the big file is trimmed');
+  t.equal(result.trimmed[0].action, 'truncated', 'should truncate it');
+  t.ok(result.tokens <= 1500, 'should end up within budget');
+  t.ok(/^line 0 of the big file\n/.test(result.sections[1].content), 'should keep the start of the file');
+  t.ok(/\.\.\.\[truncated: \d+ of 400 lines omitted/.test(result.sections[1].content), 'should note what was cut');
+  t.end();
+});
+
+test('tokens: getRepoContext reports trimming against a budget', async (t) => {
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'berrry-context-'));
+  process.chdir(dir);
+  try {
+    execSync('git init -q');
+    fs.writeFileSync('README.md', '# Project\n');
+    fs.writeFileSync('package-lock.json', JSON.stringify({ packages: 'x'.repeat(20000) }));
+    execSync('git add .');
+
+    const unlimited = await getRepoContext();
+    t.ok(unlimited.includes('"packages"'), 'without a budget the lockfile is included');
+
+    const report = {};
+    const context = await getRepoContext({ tokenBudget: 1000, report });
+    t.ok(context.includes('=== package-lock.json (omitted to fit the context budget) ==='), 'should mark the dropped lockfile');
+    t.ok(context.includes('=== README.md ===\n# Project'), 'should keep the README');
+    t.ok(context.includes('=== Git Tracked Files (2) ==='), 'should keep the file list');
+    t.deepEqual(report.trimmed.map(entry => entry.name), ['package-lock.json'], 'should report what was trimmed');
+    t.ok(report.tokens <= 1000, 'should report the context size');
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  t.end();
+});
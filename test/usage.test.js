@@ -0,0 +1,63 @@
+const test = require('tape');
+const { UsageTracker, BudgetExceededError, findPrice, loadPriceOverrides, parseBudgetLimit, DEFAULT_PRICES } = require('../src/usage.js');
+
+const usage = (inputTokens, outputTokens, cacheReadTokens = 0, cacheWriteTokens = 0) =>
+  ({ inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens });
+
+test('usage: prices resolve by provider-less longest prefix', (t) => {
+  t.equal(findPrice('anthropic/claude-sonnet-4', DEFAULT_PRICES), DEFAULT_PRICES['claude-sonnet-4'], 'OpenRouter id');
+  t.equal(findPrice('claude-sonnet-4-20250514', DEFAULT_PRICES), DEFAULT_PRICES['claude-sonnet-4'], 'dated Anthropic id');
+  t.equal(findPrice('openai/gpt-4o-mini', DEFAULT_PRICES), DEFAULT_PRICES['gpt-4o-mini'], 'longest prefix wins');
+  t.equal(findPrice('local/llama3', DEFAULT_PRICES), null, 'unknown model');
+  t.end();
+});
+
+test('usage: accumulates tokens and cost across models', (t) => {
+  const tracker = new UsageTracker();
+  tracker.record('anthropic/claude-sonnet-4', usage(1000000, 100000, 1000000, 0));
+  tracker.record('anthropic/claude-3.5-haiku', usage(1000000, 0));
+  tracker.record('local/llama3', usage(500, 500));
+
+  t.equal(tracker.totals.requests, 3, 'should count requests');
+  t.equal(tracker.totals.inputTokens, 2000500, 'should sum input tokens');
+  t.equal(tracker.totals.cost.toFixed(2), '5.60', 'sonnet 3 + 1.5 + 0.3, haiku 0.8');
+  t.equal(tracker.byModel['anthropic/claude-3.5-haiku'].requests, 1, 'should track per model');
+  t.ok(tracker.formatCost().includes('no price for local/llama3'), 'should flag unpriced models');
+  t.ok(tracker.toTrailers()[2].startsWith('LLM-Cost: $5.6000'), 'should render cost trailer');
+  t.end();
+});
+
+test('usage: user price table overrides defaults', (t) => {
+  const prices = loadPriceOverrides('{"local/llama3": {"input": 1, "output": 2}}');
+  const tracker = new UsageTracker({ prices });
+  t.equal(tracker.record('local/llama3', usage(1000000, 1000000)), 3, 'should price overridden model');
+  t.throws(() => loadPriceOverrides('{nope'), /Invalid MODEL_PRICES/, 'should reject bad JSON');
+  t.end();
+});
+
+test('usage: budget limits', (t) => {
+  const tracker = new UsageTracker({ maxCost: 1, maxTokensTotal: 5000 });
+  tracker.record('anthropic/claude-sonnet-4', usage(1000, 1000));
+  t.equal(tracker.budgetExceeded(), null, 'under both limits');
+
+  tracker.record('anthropic/claude-sonnet-4', usage(2000, 1000));
+  t.ok(tracker.budgetExceeded().includes('--max-tokens-total'), 'token limit reached');
+  t.throws(() => tracker.checkBudget(), BudgetExceededError, 'checkBudget throws');
+
+  const costly = new UsageTracker({ maxCost: 0.01 });
+  costly.record('anthropic/claude-sonnet-4', usage(0, 1000));
+  t.ok(costly.budgetExceeded().includes('--max-cost'), 'cost limit reached');
+  t.end();
+});
+
+test('usage: budget limits must be positive numbers', (t) => {
+  t.equal(parseBudgetLimit(undefined, '--max-cost'), null, 'unset means no limit');
+  t.equal(parseBudgetLimit('0.50', '--max-cost'), 0.5, 'parses strings');
+  t.equal(parseBudgetLimit(400000, '--max-tokens-total', { integer: true }), 400000, 'accepts numbers');
+  t.throws(() => parseBudgetLimit('abc', '--max-cost / MAX_COST'), /Invalid --max-cost \/ MAX_COST: expected a positive number, got "abc"/, 'rejects text');
+  t.throws(() => parseBudgetLimit('', '--max-cost'), /positive number/, 'rejects a missing value');
+  t.throws(() => parseBudgetLimit('-1', '--max-cost'), /positive number/, 'rejects negative values');
+  t.throws(() => parseBudgetLimit('0', '--max-cost'), /positive number/, 'rejects zero');
+  t.throws(() => parseBudgetLimit('1.5', '--max-tokens-total', { integer: true }), /positive whole number/, 'token limits are whole numbers');
+  t.end();
+});